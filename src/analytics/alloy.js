@@ -0,0 +1,64 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Gets the Web SDK instance. If the library is not loaded yet, the calls are queued the same
+ * way the official base code does, so they are processed once the library loads.
+ * @returns {Function} the `alloy` function
+ */
+function getAlloy() {
+  if (!window.alloy) {
+    // eslint-disable-next-line no-underscore-dangle
+    window.__alloyNS = window.__alloyNS || [];
+    // eslint-disable-next-line no-underscore-dangle
+    window.__alloyNS.push('alloy');
+    window.alloy = (...args) => new Promise((resolve, reject) => {
+      window.alloy.q.push([resolve, reject, args]);
+    });
+    window.alloy.q = [];
+  }
+  return window.alloy;
+}
+
+/**
+ * Sends the exposure as a proposition display event via the Adobe Experience Platform Web SDK.
+ * @param {object} exposure the exposure
+ */
+export default function send({ type, id, variant }) {
+  getAlloy()('sendEvent', {
+    xdm: {
+      eventType: 'decisioning.propositionDisplay',
+      timestamp: new Date().toISOString(),
+      _experience: {
+        decisioning: {
+          propositions: [{
+            id,
+            scope: 'page',
+            items: [{
+              id: variant,
+              schema: 'https://ns.adobe.com/personalization/default-content-item',
+            }],
+          }],
+          propositionEventType: {
+            display: 1,
+          },
+        },
+      },
+    },
+    data: {
+      [type]: { id, variant },
+    },
+  }).catch((err) => {
+    // eslint-disable-next-line no-console
+    console.error('Could not send the exposure to the Web SDK.', err);
+  });
+}
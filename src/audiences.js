@@ -0,0 +1,319 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+const VISITOR_KEY = 'aem-experimentation-visitor';
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Splits a comma-separated sheet cell into a list of lowercase values.
+ * @param {string} value the cell value
+ * @returns {string[]} the values
+ */
+function toList(value) {
+  return String(value).split(',').map((v) => v.trim().toLowerCase()).filter((v) => v);
+}
+
+/**
+ * Gets the device class of the visitor, based on the user agent.
+ * @returns {string} `mobile`, `tablet` or `desktop`
+ */
+function getDeviceClass() {
+  const ua = window.navigator.userAgent;
+  // iPadOS reports itself as a Mac, but has a touch screen
+  if (/iPad|Tablet|Android(?!.*Mobile)/i.test(ua)
+    || (/Macintosh/.test(ua) && window.navigator.maxTouchPoints > 1)) {
+    return 'tablet';
+  }
+  return /Mobi|iPhone|Android/i.test(ua) ? 'mobile' : 'desktop';
+}
+
+/**
+ * Checks whether the visitor already came in a previous browsing session.
+ * The visit is recorded via the plugin storages, so nothing is persisted before the end-user
+ * consented to it.
+ * @param {object} storages the consent-aware storages
+ * @param {object} storages.visitor the storage that outlives the browsing session
+ * @param {object} storages.session the storage for the browsing session
+ * @returns {boolean} `true` for a returning visitor, `false` for a new one
+ */
+function isReturningVisitor({ visitor, session } = {}) {
+  if (!visitor || !session) {
+    return false;
+  }
+  try {
+    const status = session.getItem(VISITOR_KEY);
+    if (status) {
+      return status === 'returning';
+    }
+    const isReturning = !!visitor.getItem(VISITOR_KEY);
+    visitor.setItem(VISITOR_KEY, Date.now());
+    session.setItem(VISITOR_KEY, isReturning ? 'returning' : 'new');
+    return isReturning;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Checks a list of `name` or `name=value` entries against a key/value lookup.
+ * @param {string} value the cell value
+ * @param {function} lookup the function returning the value for a name, or `null`
+ * @returns {boolean} `true` if any of the entries matches
+ */
+function matchesEntries(value, lookup) {
+  return String(value).split(',').map((entry) => entry.trim()).filter((entry) => entry)
+    .some((entry) => {
+      const [name, ...expected] = entry.split('=');
+      const actual = lookup(name.trim());
+      return expected.length
+        ? actual === expected.join('=').trim()
+        : actual !== null && actual !== undefined;
+    });
+}
+
+/**
+ * The built-in conditions, keyed by the camel-cased sheet column.
+ * Each condition receives the cell value and the plugin execution context, and checks the value
+ * against the current visit.
+ */
+const CONDITIONS = {
+  device: (value) => toList(value).includes(getDeviceClass()),
+  minWidth: (value) => window.innerWidth >= Number.parseFloat(value),
+  maxWidth: (value) => window.innerWidth <= Number.parseFloat(value),
+  referrer: (value) => {
+    let host;
+    try {
+      host = new URL(document.referrer).hostname;
+    } catch (err) {
+      return false;
+    }
+    return toList(value).some((domain) => host === domain || host.endsWith(`.${domain}`));
+  },
+  language: (value) => {
+    const languages = (window.navigator.languages || [window.navigator.language])
+      .map((lang) => lang.toLowerCase());
+    return toList(value).some((lang) => languages
+      .some((l) => l === lang || l.startsWith(`${lang}-`)));
+  },
+  visitor: (value, context) => toList(value)
+    .includes(isReturningVisitor(context.storages) ? 'returning' : 'new'),
+  cookie: (value) => matchesEntries(value, (name) => {
+    const cookie = document.cookie.split(';')
+      .map((c) => c.trim())
+      .find((c) => c.startsWith(`${name}=`));
+    return cookie ? decodeURIComponent(cookie.substring(name.length + 1)) : null;
+  }),
+  localStorage: (value) => matchesEntries(value, (name) => {
+    try {
+      return window.localStorage.getItem(name);
+    } catch (err) {
+      return null;
+    }
+  }),
+  days: (value) => toList(value)
+    .some((day) => day.substring(0, 3) === DAYS[new Date().getDay()]),
+  hours: (value) => {
+    const hour = new Date().getHours();
+    return toList(value).some((range) => {
+      const [start, end = start + 1] = range.split('-').map((h) => Number.parseInt(h, 10));
+      // ranges can span midnight, i.e. `22-6`
+      return start <= end
+        ? hour >= start && hour < end
+        : hour >= start || hour < end;
+    });
+  },
+};
+
+/**
+ * Checks a UTM condition, i.e. the `UTM Source` column, against the URL parameters.
+ * @param {string} key the camel-cased column, i.e. `utmSource`
+ * @param {string} value the cell value
+ * @returns {boolean} `true` if the parameter matches any of the values
+ */
+function matchesUtm(key, value) {
+  const param = `utm_${key.substring(3).toLowerCase()}`;
+  const actual = new URLSearchParams(window.location.search).get(param);
+  return actual !== null && toList(value).includes(actual.toLowerCase());
+}
+
+/**
+ * Checks whether the visit matches all the conditions of a sheet row.
+ * Empty cells are ignored.
+ * @param {object} conditions the conditions, keyed by the camel-cased sheet column
+ * @param {object} context the plugin execution context
+ * @returns {boolean} `true` if all the conditions match
+ */
+function matchesConditions(conditions, context) {
+  return Object.entries(conditions).every(([key, value]) => {
+    if (/^utm[A-Z]/.test(key)) {
+      return matchesUtm(key, value);
+    }
+    if (CONDITIONS[key]) {
+      return CONDITIONS[key](value, context);
+    }
+    // eslint-disable-next-line no-console
+    console.warn(`Unknown audience condition "${key}". The audience will not resolve.`);
+    return false;
+  });
+}
+
+/**
+ * Parses a boolean audience expression, i.e. `mobile & (returning | newsletter) & !employee`.
+ * `&` is the logical AND, `|` and `,` the logical OR, and `!` the negation. The AND operator
+ * takes precedence over the OR operator, and parentheses can be used to group conditions.
+ * @param {string} expression the audience expression
+ * @returns {object} the syntax tree of the expression
+ * @throws {SyntaxError} if the expression is invalid
+ */
+export function parseAudienceExpression(expression) {
+  const tokens = expression.match(/[&|,!()]|[^&|,!()]+/g)
+    ?.map((token) => token.trim())
+    .filter((token) => token) || [];
+  let position = 0;
+  const peek = () => tokens[position];
+  const expect = (token) => {
+    if (tokens[position] !== token) {
+      throw new SyntaxError(`Expected "${token}" at position ${position} in "${expression}"`);
+    }
+    position += 1;
+  };
+
+  let parseOr;
+  const parseOperand = () => {
+    const token = peek();
+    position += 1;
+    if (token === '!') {
+      return { type: 'not', operand: parseOperand() };
+    }
+    if (token === '(') {
+      const node = parseOr();
+      expect(')');
+      return node;
+    }
+    if (!token || /^[&|,)]$/.test(token)) {
+      throw new SyntaxError(`Unexpected ${token ? `"${token}"` : 'end'} in "${expression}"`);
+    }
+    return { type: 'audience', name: token };
+  };
+  const parseAnd = () => {
+    const operands = [parseOperand()];
+    while (peek() === '&') {
+      position += 1;
+      operands.push(parseOperand());
+    }
+    return operands.length > 1 ? { type: 'and', operands } : operands[0];
+  };
+  parseOr = () => {
+    const operands = [parseAnd()];
+    while (peek() === '|' || peek() === ',') {
+      position += 1;
+      operands.push(parseAnd());
+    }
+    return operands.length > 1 ? { type: 'or', operands } : operands[0];
+  };
+
+  const tree = parseOr();
+  if (position < tokens.length) {
+    throw new SyntaxError(`Unexpected "${peek()}" in "${expression}"`);
+  }
+  return tree;
+}
+
+/**
+ * Evaluates a boolean audience expression. All the audiences in the expression are resolved,
+ * so the result can tell which sub-conditions matched.
+ * @param {string} expression the audience expression
+ * @param {function} resolve the (async) function checking whether an audience is resolved
+ * @returns {Promise<object>} the `matched` boolean, and the `conditions` resolution by audience
+ * @throws {SyntaxError} if the expression is invalid
+ */
+export async function evaluateAudienceExpression(expression, resolve) {
+  const tree = parseAudienceExpression(expression);
+  const names = [];
+  const collect = (node) => {
+    if (node.type === 'audience') {
+      names.push(node.name);
+    } else {
+      (node.operands || [node.operand]).forEach(collect);
+    }
+  };
+  collect(tree);
+  const uniqueNames = [...new Set(names)];
+  const results = await Promise.all(uniqueNames.map(async (name) => !!(await resolve(name))));
+  const conditions = Object.fromEntries(uniqueNames.map((name, i) => [name, results[i]]));
+  const evaluate = (node) => {
+    switch (node.type) {
+      case 'and':
+        return node.operands.every(evaluate);
+      case 'or':
+        return node.operands.some(evaluate);
+      case 'not':
+        return !evaluate(node.operand);
+      default:
+        return conditions[node.name];
+    }
+  };
+  return { matched: evaluate(tree), conditions };
+}
+
+/**
+ * Parses the audiences sheet. Each row defines an audience as a set of conditions that all
+ * need to match, and rows with the same audience name are alternatives. A row can also define
+ * a composite audience as an `Expression` combining other audiences.
+ * @param {object} json the sheet, as returned by the AEM JSON API
+ * @param {object} context the plugin execution context, with the consent-aware `storages`
+ * used by the `Visitor` condition
+ * @returns {object} the audience functions, keyed by audience name
+ */
+export function parseAudiences(json, context) {
+  const rows = json?.data || [];
+  return rows.reduce((audiences, row) => {
+    const name = context.toClassName(row.Audience || row.Name || '');
+    if (!name) {
+      return audiences;
+    }
+    if (String(row.Expression || '').trim()) {
+      audiences[name] = row.Expression.trim();
+      return audiences;
+    }
+    const conditions = Object.entries(row)
+      .filter(([key, value]) => !['Audience', 'Name', 'Expression'].includes(key) && String(value).trim())
+      .reduce((all, [key, value]) => ({ ...all, [context.toCamelCase(key)]: value }), {});
+    const previous = typeof audiences[name] === 'function' ? audiences[name] : null;
+    audiences[name] = previous
+      ? () => previous() || matchesConditions(conditions, context)
+      : () => matchesConditions(conditions, context);
+    // the number of conditions is used to pick the most specific audience when several match
+    audiences[name].specificity = Math.min(
+      previous?.specificity ?? Infinity,
+      Object.keys(conditions).length,
+    );
+    return audiences;
+  }, {});
+}
+
+/**
+ * Loads the audiences defined in the audiences sheet.
+ * @param {string} path the path to the audiences sheet, i.e. `/experiments/audiences.json`
+ * @param {object} context the plugin execution context, with the consent-aware `storages`
+ * used by the `Visitor` condition
+ * @returns {Promise<object>} the audience functions, keyed by audience name
+ */
+export default async function loadAudiences(path, context) {
+  const resp = await fetch(path);
+  if (!resp.ok) {
+    // eslint-disable-next-line no-console
+    console.log('error loading audiences config:', resp);
+    return {};
+  }
+  return parseAudiences(await resp.json(), context);
+}
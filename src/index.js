@@ -10,13 +10,50 @@
  * governing permissions and limitations under the License.
  */
 const MAX_SAMPLING_RATE = 10; // At a maximum we sample 1 in 10 requests
+const VISITOR_ID_STORAGE_KEY = 'aem-experimentation-visitor-id';
 
 export const DEFAULT_OPTIONS = {
   // Generic properties
   rumSamplingRate: MAX_SAMPLING_RATE, // 1 in 10 requests
+  // `true` to generate a first-party visitor id, or a function returning a custom one
+  visitorId: false,
+  // Storage used to persist the assignments: `session`, `local`, `cookie`, `memory`
+  // or a custom `Storage`-like object
+  storage: 'session',
+  storageKey: 'unified-decisioning-experiments',
+  storageTtl: 30, // in days
+  // (async) function resolving to `true` once the end-user consented to the storage
+  // (defaults to the `consent` option)
+  storageConsent: null,
+  // (async) function resolving to `true` once the end-user consented to personalization
+  // and tracking
+  consent: null,
+  // the maximum time to wait for a pending consent before deciding, in milliseconds
+  consentTimeout: 200,
+
+  // Analytics adapters the exposures are sent to: `acdl`, `gtm`, `alloy`
+  // or custom functions receiving the exposure
+  analytics: [],
+
+  // Holdout related properties
+  holdout: 0, // percentage of visitors that never see any personalized content
+  holdoutId: 'holdout',
+  holdoutQueryParameter: 'holdout',
 
   // Audiences related properties
   audiences: {},
+  // an optional sheet with audiences defined from built-in conditions,
+  // i.e. `/experiments/audiences.json`, merged with the audiences above
+  audiencesConfigFile: '',
+  // the time in ms after which an audience that is still resolving is considered not resolved
+  audiencesTimeout: 1000,
+  // the time in minutes resolved audiences are cached in the session storage, `0` to disable
+  audiencesCacheTtl: 0,
+  // the audience priorities, as a list ordered from the highest priority, or as a map of
+  // audience names to priorities, used to pick the audience to serve when several match
+  audiencesPriority: [],
+  // how to pick the audience to serve: `priority`, `specificity` or `weighted`
+  audiencesStrategy: 'priority',
   audiencesMetaTagPrefix: 'audience',
   audiencesQueryParameter: 'audience',
 
@@ -29,6 +66,18 @@ export const DEFAULT_OPTIONS = {
   experimentsConfigFile: 'manifest.json',
   experimentsMetaTag: 'experiment',
   experimentsQueryParameter: 'experiment',
+  // the multiple comparisons correction used in the overlay: `holm`, `bonferroni` or `none`
+  experimentsCorrection: 'holm',
+  // the provider for the results shown in the overlay: an async function or a URL template,
+  // defaults to the RUM data (see the documentation for the expected format)
+  resultsProvider: null,
+
+  // Multi-armed bandit related properties
+  experimentsBanditStatsFile: 'stats.json',
+  experimentsBanditStatsUrl: '',
+  // the time in ms after which the configured split is used if the stats are not loaded yet
+  experimentsBanditStatsTimeout: 1000,
+  experimentsBanditMinControlShare: 0.1,
 };
 
 /**
@@ -54,36 +103,519 @@ function isBot() {
   return navigator.userAgent.match(/bot|crawl|spider/i);
 }
 
+/**
+ * Resolves the consent given by the end-user.
+ * @param {Function|Promise|boolean} consent a (async) function or promise resolving to `true`
+ * once the end-user consented
+ * @returns {Promise<boolean>} a promise resolving to the consent state, or `null` if no consent
+ * is required
+ */
+function resolveConsent(consent) {
+  if (consent === null || consent === undefined) {
+    return null;
+  }
+  return Promise.resolve(typeof consent === 'function' ? consent() : consent)
+    .then((granted) => !!granted)
+    .catch((err) => {
+      // eslint-disable-next-line no-console
+      console.error('Could not resolve the end-user consent.', err);
+      return false;
+    });
+}
+
+/**
+ * Gives the consent the chance to settle, without waiting longer than the given timeout.
+ * @param {Promise<boolean>} consent the consent promise
+ * @param {number} [timeout=0] the maximum time to wait for a pending consent, in milliseconds
+ * @returns {Promise<boolean>} a promise resolving to the consent state,
+ * or `undefined` if the consent is still pending
+ */
+function settleConsent(consent, timeout = 0) {
+  return Promise.race([consent, new Promise((resolve) => { setTimeout(resolve, timeout); })]);
+}
+
+let consentPromise;
+/**
+ * Gets the consent given by the end-user for personalization and tracking.
+ * @param {object} pluginOptions the plugin options
+ * @returns {Promise<boolean>} a promise resolving to the consent state, or `null` if no consent
+ * is required
+ */
+function getConsent(pluginOptions) {
+  if (consentPromise === undefined) {
+    consentPromise = resolveConsent(pluginOptions.consent);
+  }
+  return consentPromise;
+}
+
+/**
+ * Checks if the end-user denied the consent to personalization and tracking.
+ * A pending consent is only waited for up to the `consentTimeout`, so the page rendering is not
+ * blocked. If it is still pending by then, the visitor gets personalized anyway and the
+ * tracking is queued until the consent is given.
+ * @param {object} pluginOptions the plugin options
+ * @returns {Promise<boolean>} `true` if the end-user denied the consent, `false` otherwise
+ */
+async function isConsentDenied(pluginOptions) {
+  const consent = getConsent(pluginOptions);
+  if (!consent) {
+    return false;
+  }
+  return await settleConsent(consent, pluginOptions.consentTimeout) === false;
+}
+
+let analyticsAdaptersPromise;
+/**
+ * Loads the analytics adapters configured for the project.
+ * Adapters are either the name of a built-in adapter (`acdl`, `gtm` or `alloy`),
+ * or a custom function receiving the exposure.
+ * @param {object} pluginOptions the plugin options
+ * @returns {Promise<Function[]>} the adapters
+ */
+function getAnalyticsAdapters(pluginOptions) {
+  if (!analyticsAdaptersPromise) {
+    const adapters = [].concat(pluginOptions.analytics || []);
+    analyticsAdaptersPromise = Promise.all(adapters.map(async (adapter) => {
+      if (typeof adapter === 'function') {
+        return adapter;
+      }
+      try {
+        const { default: send } = await import(`./analytics/${adapter}.js`);
+        return send;
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error(`Could not load the "${adapter}" analytics adapter.`, err);
+        return null;
+      }
+    })).then((list) => list.filter((adapter) => !!adapter));
+  }
+  return analyticsAdaptersPromise;
+}
+
+const sentExposures = new Set();
+/**
+ * Sends the exposure to the configured analytics adapters.
+ * Each exposure is only sent once per page view.
+ * @param {object} exposure the exposure
+ * @param {string} exposure.type the exposure type: `experiment`, `campaign` or `audience`
+ * @param {string} exposure.id the experiment, campaign or audience id
+ * @param {string} exposure.variant the served variant, or `default`
+ * @param {object} pluginOptions the plugin options
+ */
+async function sendExposure(exposure, pluginOptions) {
+  const key = `${exposure.type}:${exposure.id}:${exposure.variant}`;
+  if (sentExposures.has(key)) {
+    return;
+  }
+  sentExposures.add(key);
+  const adapters = await getAnalyticsAdapters(pluginOptions);
+  adapters.forEach((send) => {
+    try {
+      send(exposure);
+    } catch (err) {
+      // eslint-disable-next-line no-console
+      console.error('Could not send the exposure to the analytics adapter.', err);
+    }
+  });
+}
+
+/**
+ * Tracks the RUM checkpoint once the page is activated and the end-user consented to tracking.
+ * Checkpoints are queued while the consent is pending.
+ * @param {string} checkpoint the checkpoint name
+ * @param {object} data the checkpoint data
+ * @param {object} pluginOptions the plugin options
+ * @param {object} context the plugin execution context
+ * @param {object} [exposure] the exposure to also send to the analytics adapters
+ */
+function trackCheckpoint(checkpoint, data, pluginOptions, context, exposure) {
+  const consent = getConsent(pluginOptions);
+  const track = () => onPageActivation(() => {
+    context.sampleRUM(checkpoint, data);
+    if (exposure && pluginOptions.analytics) {
+      sendExposure(exposure, pluginOptions);
+    }
+  });
+  if (!consent) {
+    track();
+    return;
+  }
+  consent.then((granted) => {
+    if (granted) {
+      track();
+    }
+  });
+}
+
+/**
+ * The lifecycle events dispatched on the `document` at each decision point.
+ */
+export const EVENTS = {
+  EXPERIMENT_RESOLVED: 'aem-experimentation:experiment-resolved',
+  VARIANT_SERVED: 'aem-experimentation:variant-served',
+  VARIANT_FALLBACK: 'aem-experimentation:variant-fallback',
+  CAMPAIGN_SERVED: 'aem-experimentation:campaign-served',
+  AUDIENCE_RESOLVED: 'aem-experimentation:audience-resolved',
+  CONVERSION: 'aem-experimentation:conversion',
+};
+
+const dispatchedEvents = [];
+/**
+ * Dispatches a lifecycle event on the document, and keeps track of it so late subscribers
+ * can still get it.
+ * @param {string} type the event type, one of `EVENTS`
+ * @param {object} detail the decision payload
+ */
+function dispatchLifecycleEvent(type, detail) {
+  const event = new CustomEvent(type, { detail });
+  dispatchedEvents.push(event);
+  document.dispatchEvent(event);
+}
+
+/**
+ * Subscribes to the lifecycle events of the plugin.
+ * Events that were already dispatched before the subscription are replayed to the listener.
+ * @param {string} type the event type, one of `EVENTS`, or `*` to subscribe to all of them
+ * @param {Function} listener the listener, called with the `CustomEvent`
+ * @param {object} [options] the subscription options
+ * @param {boolean} [options.replay] `false` to skip the events that were already dispatched
+ * @returns {Function} a function to unsubscribe the listener
+ */
+export function subscribe(type, listener, { replay = true } = {}) {
+  const types = type === '*' ? Object.values(EVENTS) : [type];
+  if (replay) {
+    dispatchedEvents
+      .filter((event) => types.includes(event.type))
+      .forEach((event) => listener(event));
+  }
+  types.forEach((t) => document.addEventListener(t, listener));
+  return () => types.forEach((t) => document.removeEventListener(t, listener));
+}
+
+let storageConsentPromise;
+const storages = {};
+/**
+ * Gets the storage of the given type. Nothing is persisted until the end-user consented to it,
+ * if the project requires consent via the `storageConsent` option.
+ * @param {string|object} type the storage type, or a custom `Storage`-like object
+ * @param {object} pluginOptions the plugin options
+ * @returns {Promise<object>} a `Storage`-like object
+ */
+async function getStorage(type, pluginOptions) {
+  const key = typeof type === 'string' ? type : 'custom';
+  if (!storages[key]) {
+    if (storageConsentPromise === undefined) {
+      storageConsentPromise = pluginOptions.storageConsent
+        ? resolveConsent(pluginOptions.storageConsent)
+        : getConsent(pluginOptions);
+    }
+    storages[key] = import('./storage.js').then(({ default: createStorage }) => createStorage(type, {
+      ttl: pluginOptions.storageTtl,
+      consent: storageConsentPromise,
+    }));
+  }
+  return storages[key];
+}
+
+/**
+ * Gets the storage used for data that needs to outlive the browsing session,
+ * like the visitor id. This is the local storage, unless the project explicitly
+ * opted for cookies or no persistence.
+ * @param {object} pluginOptions the plugin options
+ * @returns {Promise<object>} a `Storage`-like object
+ */
+async function getVisitorStorage(pluginOptions) {
+  return getStorage(
+    ['cookie', 'memory'].includes(pluginOptions.storage) ? pluginOptions.storage : 'local',
+    pluginOptions,
+  );
+}
+
+/**
+ * Gets the first-party visitor id, and generates it if needed.
+ * An id that cannot be persisted (i.e. while the storage consent is pending) would change on
+ * every page view, so no id is returned in that case.
+ * @param {object} pluginOptions the plugin options
+ * @returns {Promise<string>} the visitor id, or `null` if it cannot be persisted
+ */
+async function getFirstPartyVisitorId(pluginOptions) {
+  const storage = await getVisitorStorage(pluginOptions);
+  if (storageConsentPromise) {
+    await settleConsent(storageConsentPromise);
+  }
+  if (!storage.isPersistent()) {
+    return null;
+  }
+  let id = storage.getItem(VISITOR_ID_STORAGE_KEY);
+  if (id) {
+    return id;
+  }
+  id = window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).substring(2)}`;
+  storage.setItem(VISITOR_ID_STORAGE_KEY, id);
+  return id;
+}
+
+let identityMapPromise;
+/**
+ * Gets the identity map used to deterministically bucket the visitor across sessions
+ * (and across devices if they share the same id).
+ * @param {object} pluginOptions the plugin options
+ * @returns {Promise<object>} the identity map, or `null` if no visitor id is configured
+ */
+async function getIdentityMap(pluginOptions) {
+  if (!pluginOptions.visitorId) {
+    return null;
+  }
+  if (!identityMapPromise) {
+    identityMapPromise = (async () => {
+      try {
+        if (typeof pluginOptions.visitorId === 'function') {
+          const id = await pluginOptions.visitorId();
+          return id ? { CUSTOM: [{ id: String(id) }] } : null;
+        }
+        const id = await getFirstPartyVisitorId(pluginOptions);
+        if (!id) {
+          // eslint-disable-next-line no-console
+          console.warn('The visitor id cannot be persisted yet (i.e. no storage consent). Falling back to device bucketing.');
+          return null;
+        }
+        return { FPID: [{ id }] };
+      } catch (err) {
+        // eslint-disable-next-line no-console
+        console.error('Could not resolve the visitor id. Falling back to device bucketing.', err);
+        return null;
+      }
+    })();
+  }
+  return identityMapPromise;
+}
+
+/**
+ * Checks whether the audience is a boolean expression, i.e. `mobile & !employee`.
+ * @param {string} audience the audience
+ * @returns {boolean} `true` if it is an expression
+ */
+function isAudienceExpression(audience) {
+  return /[&|!()]/.test(audience);
+}
+
+/**
+ * Splits the audiences configured in the metadata or in a manifest. A comma-separated list
+ * is a list of alternative audiences, while a boolean expression is kept as a whole.
+ * @param {string} value the configured audiences
+ * @returns {string[]} the audiences
+ */
+function splitAudiences(value) {
+  if (!value) {
+    return [];
+  }
+  return isAudienceExpression(value)
+    ? [value.trim()]
+    : value.split(',').map((str) => str.trim());
+}
+
+/**
+ * Normalizes an audience, or each audience in a boolean expression, to its class name,
+ * i.e. `Mobile & !Employee` becomes `mobile&!employee`.
+ * @param {string} audience the audience or audience expression
+ * @param {object} context the plugin execution context
+ * @returns {string} the normalized audience
+ */
+function normalizeAudience(audience, context) {
+  return audience.split(/([&|,!()])/)
+    .map((token) => (/^[&|,!()]$/.test(token) ? token : context.toClassName(token)))
+    .join('');
+}
+
+/**
+ * Evaluates a boolean audience expression, and records which sub-conditions matched
+ * in `window.hlx.audienceExpressions` so they can be debugged in the overlay.
+ * @param {string} expression the normalized audience expression
+ * @param {function} resolve the (async) function checking whether an audience is resolved
+ * @returns {Promise<boolean>} `true` if the expression matched
+ */
+async function resolveAudienceExpression(expression, resolve) {
+  try {
+    const { evaluateAudienceExpression } = await import('./audiences.js');
+    const result = await evaluateAudienceExpression(expression, resolve);
+    window.hlx = window.hlx || {};
+    window.hlx.audienceExpressions = window.hlx.audienceExpressions || {};
+    window.hlx.audienceExpressions[expression] = result;
+    return result.matched;
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.warn(`Invalid audience expression "${expression}".`, err);
+    return false;
+  }
+}
+
+const AUDIENCES_CACHE_KEY = 'aem-experimentation-audiences';
+const audienceResolutions = {};
+
+/**
+ * Records how an audience was resolved in `window.hlx.audienceResolutions`,
+ * so timed-out or failed audiences can be debugged in the overlay.
+ * @param {string} name the audience name
+ * @param {object} resolution the resolution
+ * @param {boolean} resolution.matched whether the audience is resolved
+ * @param {string} resolution.status `resolved`, `cached`, `timeout` or `error`
+ * @param {number} resolution.duration the resolution time in ms
+ */
+function reportAudienceResolution(name, resolution) {
+  window.hlx = window.hlx || {};
+  window.hlx.audienceResolutions = window.hlx.audienceResolutions || {};
+  window.hlx.audienceResolutions[name] = resolution;
+}
+
+/**
+ * Resolves an audience function. The audience is considered not resolved if it fails or
+ * takes longer than the `audiencesTimeout`, so it never blocks the page. The result is
+ * memoized for the page view, and cached in the session storage if `audiencesCacheTtl` is set.
+ * @param {string} name the audience name
+ * @param {function} fn the (async) audience function
+ * @param {object} options the plugin options
+ * @returns {Promise<boolean>} `true` if the audience is resolved
+ */
+function resolveAudienceFunction(name, fn, options) {
+  if (audienceResolutions[name]) {
+    return audienceResolutions[name];
+  }
+  audienceResolutions[name] = (async () => {
+    const start = performance.now();
+    const ttl = (Number(options.audiencesCacheTtl) || 0) * 60000;
+    const storage = ttl > 0 ? await getStorage('session', options) : null;
+    const readCache = () => {
+      try {
+        return JSON.parse(storage.getItem(AUDIENCES_CACHE_KEY)) || {};
+      } catch (err) {
+        return {};
+      }
+    };
+    const cached = storage && readCache()[name];
+    if (cached && cached.expires > Date.now()) {
+      reportAudienceResolution(name, { matched: cached.matched, status: 'cached', duration: 0 });
+      return cached.matched;
+    }
+
+    const timeout = options.audiencesTimeout ?? DEFAULT_OPTIONS.audiencesTimeout;
+    let status = 'resolved';
+    let error;
+    let timer;
+    let matched = false;
+    try {
+      matched = !!(await Promise.race([
+        Promise.resolve().then(fn),
+        ...timeout > 0 ? [new Promise((resolve) => {
+          timer = setTimeout(() => {
+            status = 'timeout';
+            resolve(false);
+          }, timeout);
+        })] : [],
+      ]));
+    } catch (err) {
+      status = 'error';
+      error = err.message || String(err);
+      // eslint-disable-next-line no-console
+      console.warn(`Audience ${name} failed to resolve.`, err);
+    } finally {
+      clearTimeout(timer);
+    }
+    if (status === 'timeout') {
+      // eslint-disable-next-line no-console
+      console.warn(`Audience ${name} timed out after ${timeout}ms.`);
+    }
+    reportAudienceResolution(name, {
+      matched, status, duration: Math.round(performance.now() - start), error,
+    });
+    // only cache actual results, so failed audiences are retried on the next page
+    if (storage && status === 'resolved') {
+      const cache = readCache();
+      cache[name] = { matched, expires: Date.now() + ttl };
+      storage.setItem(AUDIENCES_CACHE_KEY, JSON.stringify(cache));
+    }
+    return matched;
+  })();
+  return audienceResolutions[name];
+}
+
+let sheetAudiencesPromise;
+/**
+ * Gets the audiences for the project, i.e. the ones defined in code, merged with the ones
+ * defined in the audiences sheet if configured. Audiences defined in code take precedence.
+ * @param {object} options the plugin options
+ * @param {object} context the plugin execution context
+ * @returns {Promise<object>} the audience functions, keyed by audience name
+ */
+async function getAudiences(options, context) {
+  if (!options.audiencesConfigFile) {
+    return options.audiences || {};
+  }
+  if (!sheetAudiencesPromise) {
+    sheetAudiencesPromise = import('./audiences.js')
+      .then(async ({ default: loadAudiences }) => loadAudiences(options.audiencesConfigFile, {
+        ...context,
+        // the visitor condition only persists the visit once the end-user consented to it
+        storages: {
+          visitor: await getVisitorStorage(options),
+          session: await getStorage('session', options),
+        },
+      }))
+      .catch((err) => {
+        // eslint-disable-next-line no-console
+        console.error('Could not load the audiences config.', err);
+        return {};
+      });
+  }
+  return { ...(await sheetAudiencesPromise), ...options.audiences };
+}
+
 /**
  * Checks if any of the configured audiences on the page can be resolved.
- * @param {string[]} applicableAudiences a list of configured audiences for the page
+ * @param {string[]} applicableAudiences a list of configured audiences for the page,
+ * or boolean audience expressions
  * @param {object} options the plugin options
  * @returns Returns the names of the resolved audiences, or `null` if no audience is configured
  */
 export async function getResolvedAudiences(applicableAudiences, options, context) {
-  if (!applicableAudiences.length || !Object.keys(options.audiences).length) {
+  if (!applicableAudiences.length) {
+    return null;
+  }
+  const audiences = await getAudiences(options, context);
+  if (!Object.keys(audiences).length) {
     return null;
   }
   // If we have a forced audience set in the query parameters (typically for simulation purposes)
-  // we check if it is applicable
+  // we check if it is applicable, and expressions are evaluated as if it was the only one resolved
   const usp = new URLSearchParams(window.location.search);
   const forcedAudience = usp.has(options.audiencesQueryParameter)
     ? context.toClassName(usp.get(options.audiencesQueryParameter))
     : null;
-  if (forcedAudience) {
-    return applicableAudiences.includes(forcedAudience) ? [forcedAudience] : [];
-  }
-
   // Otherwise, return the list of audiences that are resolved on the page
-  const results = await Promise.all(
-    applicableAudiences
-      .map((key) => {
-        if (options.audiences[key] && typeof options.audiences[key] === 'function') {
-          return options.audiences[key]();
-        }
-        return false;
-      }),
-  );
+  const resolve = (key, parents = []) => {
+    if (forcedAudience && key === forcedAudience) {
+      return true;
+    }
+    if (isAudienceExpression(key)) {
+      return resolveAudienceExpression(key, (name) => resolve(name, parents));
+    }
+    // composite audiences are defined as an expression, and cannot reference themselves
+    if (typeof audiences[key] === 'string' && !parents.includes(key)) {
+      return resolveAudienceExpression(
+        normalizeAudience(audiences[key], context),
+        (name) => resolve(name, [...parents, key]),
+      );
+    }
+    if (forcedAudience) {
+      return false;
+    }
+    if (audiences[key] && typeof audiences[key] === 'function') {
+      return resolveAudienceFunction(key, audiences[key], options);
+    }
+    return false;
+  };
+  const results = await Promise.all(applicableAudiences.map((key) => resolve(key)));
   return applicableAudiences.filter((_, i) => results[i]);
 }
 
@@ -115,6 +647,187 @@ async function replaceInner(path, main) {
   return null;
 }
 
+/**
+ * Parses the list of sections targeted by an experiment.
+ * @param {string} value a comma-separated list of section indexes (1-based) and/or section ids
+ * @param {object} context the plugin execution context
+ * @returns {string[]} the list of section keys
+ */
+function getSectionKeys(value, context) {
+  if (!value) {
+    return [];
+  }
+  return String(value).split(',').map((key) => context.toClassName(key.trim())).filter((key) => !!key);
+}
+
+/**
+ * Finds the section matching the given key, either by its 1-based index or by the `section-id`
+ * property in its section metadata.
+ * @param {HTMLElement[]} sections the sections to search
+ * @param {string} key the section key
+ * @param {object} context the plugin execution context
+ * @returns {HTMLElement} the matching section, or `undefined` if none matches
+ */
+function findSection(sections, key, context) {
+  if (/^\d+$/.test(key)) {
+    return sections[Number(key) - 1];
+  }
+  return sections.find((section) => {
+    // decorated sections expose their metadata as data attributes
+    if (section.dataset.sectionId) {
+      return context.toClassName(section.dataset.sectionId) === key;
+    }
+    const metadata = section.querySelector(':scope > .section-metadata');
+    const row = metadata && [...metadata.children]
+      .find((r) => r.children[0] && context.toClassName(r.children[0].textContent) === 'section-id');
+    return !!row && !!row.children[1] && context.toClassName(row.children[1].textContent) === key;
+  });
+}
+
+/**
+ * Replaces the given sections with the matching ones from the content at path.
+ * Sections that are not found in the fetched content are left as is.
+ * @param {string} path the path of the content to load
+ * @param {HTMLElement} main the main element of the page
+ * @param {string[]} keys the keys of the sections to replace
+ * @param {object} context the plugin execution context
+ * @return {Promise<string[]>} Returns the keys of the sections that were replaced
+ */
+async function replaceSections(path, main, keys, context) {
+  try {
+    const resp = await fetch(path);
+    if (!resp.ok) {
+      // eslint-disable-next-line no-console
+      console.log('error loading content:', resp);
+      return [];
+    }
+    const html = await resp.text();
+    // parse with DOMParser to guarantee valid HTML, and no script execution(s)
+    const dom = new DOMParser().parseFromString(html, 'text/html');
+    const variantSections = [...dom.querySelectorAll('main > div')];
+    const controlSections = [...main.querySelectorAll(':scope > div')];
+    return keys.filter((key) => {
+      const controlSection = findSection(controlSections, key, context);
+      const variantSection = findSection(variantSections, key, context);
+      if (!controlSection || !variantSection) {
+        // eslint-disable-next-line no-console
+        console.debug(`section ${key} not found in ${controlSection ? path : 'the current page'}. Keeping the default content.`);
+        return false;
+      }
+      controlSection.innerHTML = variantSection.innerHTML;
+      return true;
+    });
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.log(`error loading content: ${path}`, e);
+  }
+  return [];
+}
+
+/**
+ * Normalizes a DOM operation, so operations coming from a spreadsheet (i.e. with a `Selector`
+ * column) and from plain JSON (i.e. with a `selector` property) can be handled the same way.
+ * @param {object} operation the raw operation
+ * @param {object} context the plugin execution context
+ * @returns {object} the normalized operation
+ */
+function normalizeOperation(operation, context) {
+  const op = Object.fromEntries(Object.entries(operation || {})
+    .map(([key, value]) => [context.toCamelCase(key), value]));
+  op.action = context.toCamelCase(op.action || '');
+  return op;
+}
+
+/**
+ * Gets the DOM operations for a variant, either defined inline in the experiment manifest
+ * via an `Operations` row, or in a JSON file referenced as the variant page.
+ * The JSON can either be a plain array of operations, or a spreadsheet with `Selector`,
+ * `Action`, `Value`, `Attribute` and `Position` columns.
+ * @param {object} variant the variant config
+ * @param {string} path the path of the operations file, if any
+ * @param {object} context the plugin execution context
+ * @returns {Promise<object[]>} the list of operations, or `null` if they could not be loaded
+ */
+async function getVariantOperations(variant, path, context) {
+  try {
+    let json = variant.operations;
+    if (typeof json === 'string') {
+      json = JSON.parse(json);
+    } else if (!json && path) {
+      const resp = await fetch(path);
+      if (!resp.ok) {
+        // eslint-disable-next-line no-console
+        console.log('error loading operations:', resp);
+        return null;
+      }
+      json = await resp.json();
+    }
+    const operations = Array.isArray(json) ? json : json?.data;
+    return (operations || []).map((op) => normalizeOperation(op, context));
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.log(`error loading operations: ${path || 'manifest'}`, e);
+  }
+  return null;
+}
+
+/**
+ * Applies a single DOM operation to an element.
+ * @param {HTMLElement} el the element to modify
+ * @param {object} op the normalized operation
+ */
+function applyOperation(el, op) {
+  switch (op.action) {
+    case 'setText':
+      el.textContent = op.value ?? '';
+      break;
+    case 'setAttribute':
+      el.setAttribute(op.attribute, op.value ?? '');
+      break;
+    case 'addClass':
+      el.classList.add(...String(op.value).split(/\s+/).filter((c) => !!c));
+      break;
+    case 'remove':
+      el.remove();
+      break;
+    case 'insert': {
+      // parse with DOMParser to guarantee valid HTML, and no script execution(s)
+      const dom = new DOMParser().parseFromString(op.value || '', 'text/html');
+      const nodes = [...dom.body.childNodes];
+      const position = (op.position || 'append').toLowerCase();
+      if (!['before', 'after', 'prepend', 'append'].includes(position)) {
+        throw new Error(`Unsupported position "${op.position}"`);
+      }
+      el[position](...nodes);
+      break;
+    }
+    default:
+      throw new Error(`Unsupported action "${op.action}"`);
+  }
+}
+
+/**
+ * Applies the DOM operations to the page.
+ * Each operation is applied to all the elements matching its selector.
+ * @param {Document} document the page document
+ * @param {object[]} operations the normalized operations
+ * @returns {object[]} the operations that failed, with the reason of the failure
+ */
+function applyOperations(document, operations) {
+  return operations.map((op) => {
+    try {
+      const elements = [...document.querySelectorAll(op.selector)];
+      if (!elements.length) {
+        return { ...op, reason: 'Selector not found' };
+      }
+      elements.forEach((el) => applyOperation(el, op));
+      return null;
+    } catch (e) {
+      return { ...op, reason: e.message };
+    }
+  }).filter((op) => !!op);
+}
+
 /**
  * Parses the experimentation configuration sheet and creates an internal model.
  *
@@ -125,6 +838,15 @@ async function replaceInner(path, main) {
  *        blocks: <string>,
  *        audiences: [<string>],
  *        status: Active | Inactive,
+ *        layer: <string>,
+ *        layerRange: <string>,
+ *        trafficAllocation: <string>,
+ *        allocation: Fixed | Bandit,
+ *        sections: <string>,
+ *        primaryMetric: <string>,
+ *        secondaryMetrics: [<string>],
+ *        guardrailMetrics: [<string>],
+ *        valueMetrics: [<string>],
  *        variantNames: [<string>],
  *        variants: {
  *          [variantName]: {
@@ -132,6 +854,10 @@ async function replaceInner(path, main) {
  *            percentageSplit: <number 0-1>,
  *            pages: <string>,
  *            blocks: <string>,
+ *            operations: <string>,
+ *            audienceSplits: {
+ *              [audience]: <number 0-1>,
+ *            },
  *          }
  *        }
  *      };
@@ -142,7 +868,9 @@ function parseExperimentConfig(json, context) {
     json.settings.data.forEach((line) => {
       const key = context.toCamelCase(line.Name);
       if (key === 'audience' || key === 'audiences') {
-        config.audiences = line.Value ? line.Value.split(',').map((str) => str.trim()) : [];
+        config.audiences = splitAudiences(line.Value);
+      } else if (['secondaryMetrics', 'guardrailMetrics', 'valueMetrics'].includes(key)) {
+        config[key] = line.Value ? line.Value.split(',').map((str) => str.trim()) : [];
       } else if (key === 'experimentName') {
         config.label = line.Value;
       } else {
@@ -158,6 +886,18 @@ function parseExperimentConfig(json, context) {
     });
     let lastKey = 'default';
     json.experiences.data.forEach((line) => {
+      // audience-specific splits are defined as i.e. `Percentage Split (Mobile)`
+      const [, name, audience] = String(line.Name || '').match(/^(.+?)\s*\(([^)]+)\)$/) || [];
+      if (audience && context.toCamelCase(name) === 'percentageSplit') {
+        Object.keys(line).slice(1).forEach((vn) => {
+          const variant = variants[context.toCamelCase(vn)];
+          variant.audienceSplits = {
+            ...variant.audienceSplits,
+            [normalizeAudience(audience, context)]: line[vn],
+          };
+        });
+        return;
+      }
       let key = context.toCamelCase(line.Name);
       if (!key) key = lastKey;
       lastKey = key;
@@ -205,12 +945,23 @@ export function isValidExperimentationConfig(config) {
   return true;
 }
 
+/**
+ * Gets the audiences that have a specific split, in the order they were authored.
+ * @param {object} config the experiment config
+ * @returns {string[]} the audiences with a specific split
+ */
+function getSplitAudiences(config) {
+  return [...new Set(Object.values(config.variants)
+    .flatMap((variant) => Object.keys(variant.audienceSplits || {})))];
+}
+
 /**
  * Calculates percentage split for variants where the percentage split is not
  * explicitly configured.
  * Substracts from 100 the explicitly configured percentage splits,
  * and divides the remaining percentage, among the variants without explicit
- * percentage split configured
+ * percentage split configured.
+ * The audience-specific splits are inferred the same way, for each audience.
  * @param {Array} variant objects
  */
 function inferEmptyPercentageSplits(variants) {
@@ -229,6 +980,14 @@ function inferEmptyPercentageSplits(variants) {
       v.percentageSplit = missingPercentage.toFixed(4);
     });
   }
+
+  getSplitAudiences({ variants }).forEach((audience) => {
+    const splits = variants.map((v) => ({ percentageSplit: v.audienceSplits?.[audience] || '' }));
+    inferEmptyPercentageSplits(splits);
+    variants.forEach((v, i) => {
+      v.audienceSplits = { ...v.audienceSplits, [audience]: splits[i].percentageSplit };
+    });
+  });
 }
 
 /**
@@ -238,7 +997,7 @@ function inferEmptyPercentageSplits(variants) {
  * @param {string} instantExperiment The list of varaints
  * @returns {object} the experiment manifest
  */
-function getConfigForInstantExperiment(
+async function getConfigForInstantExperiment(
   experimentId,
   instantExperiment,
   pluginOptions,
@@ -247,10 +1006,22 @@ function getConfigForInstantExperiment(
   const audience = context.getMetadata(`${pluginOptions.experimentsMetaTag}-audience`);
   const config = {
     label: `Instant Experiment: ${experimentId}`,
-    audiences: audience ? audience.split(',').map(context.toClassName) : [],
+    audiences: splitAudiences(audience).map((a) => normalizeAudience(a, context)),
     status: context.getMetadata(`${pluginOptions.experimentsMetaTag}-status`) || 'Active',
     startDate: context.getMetadata(`${pluginOptions.experimentsMetaTag}-start-date`),
     endDate: context.getMetadata(`${pluginOptions.experimentsMetaTag}-end-date`),
+    layer: context.getMetadata(`${pluginOptions.experimentsMetaTag}-layer`),
+    layerRange: context.getMetadata(`${pluginOptions.experimentsMetaTag}-layer-range`),
+    trafficAllocation: context.getMetadata(`${pluginOptions.experimentsMetaTag}-traffic`),
+    allocation: context.getMetadata(`${pluginOptions.experimentsMetaTag}-allocation`),
+    sections: context.getMetadata(`${pluginOptions.experimentsMetaTag}-sections`),
+    primaryMetric: context.getMetadata(`${pluginOptions.experimentsMetaTag}-primary-metric`),
+    secondaryMetrics: context.getMetadata(`${pluginOptions.experimentsMetaTag}-secondary-metrics`)
+      .split(',').map((str) => str.trim()).filter((str) => str),
+    guardrailMetrics: context.getMetadata(`${pluginOptions.experimentsMetaTag}-guardrail-metrics`)
+      .split(',').map((str) => str.trim()).filter((str) => str),
+    valueMetrics: context.getMetadata(`${pluginOptions.experimentsMetaTag}-value-metrics`)
+      .split(',').map((str) => str.trim()).filter((str) => str),
     id: experimentId,
     variants: {},
     variantNames: [],
@@ -286,6 +1057,25 @@ function getConfigForInstantExperiment(
       label: `Challenger ${i + 1}`,
     };
   });
+
+  // audience-specific splits, i.e. `Experiment Split (Mobile)`
+  const knownAudiences = Object.keys(await getAudiences(pluginOptions, context));
+  const candidateAudiences = [...new Set([...config.audiences, ...knownAudiences])]
+    .filter((a) => !isAudienceExpression(a));
+  candidateAudiences.forEach((name) => {
+    const audienceSplit = context.getMetadata(`${pluginOptions.experimentsMetaTag}-split-${name}`);
+    if (!audienceSplit) {
+      return;
+    }
+    const values = audienceSplit.split(',').map((i) => (parseFloat(i) / 100).toFixed(4));
+    config.variantNames.forEach((vname, i) => {
+      config.variants[vname].audienceSplits = {
+        ...config.variants[vname].audienceSplits,
+        // the control gets the remaining share
+        [name]: i ? values[i - 1] || '' : '',
+      };
+    });
+  });
   inferEmptyPercentageSplits(Object.values(config.variants));
   return (config);
 }
@@ -307,69 +1097,354 @@ function getConfigForInstantExperiment(
  * @param {object} pluginOptions The plugin options
  * @returns {object} containing the experiment manifest
  */
-async function getConfigForFullExperiment(experimentId, pluginOptions, context) {
-  let path;
-  if (experimentId.includes(`/${pluginOptions.experimentsConfigFile}`)) {
-    path = new URL(experimentId, window.location.origin).href;
-    // eslint-disable-next-line no-param-reassign
-    [experimentId] = path.split('/').splice(-2, 1);
-  } else {
-    path = `${pluginOptions.experimentsRoot}/${experimentId}/${pluginOptions.experimentsConfigFile}`;
+async function getConfigForFullExperiment(experimentId, pluginOptions, context) {
+  let path;
+  if (experimentId.includes(`/${pluginOptions.experimentsConfigFile}`)) {
+    path = new URL(experimentId, window.location.origin).href;
+    // eslint-disable-next-line no-param-reassign
+    [experimentId] = path.split('/').splice(-2, 1);
+  } else {
+    path = `${pluginOptions.experimentsRoot}/${experimentId}/${pluginOptions.experimentsConfigFile}`;
+  }
+  try {
+    const resp = await fetch(path);
+    if (!resp.ok) {
+      // eslint-disable-next-line no-console
+      console.log('error loading experiment config:', resp);
+      return null;
+    }
+    const json = await resp.json();
+    const config = pluginOptions.parser
+      ? pluginOptions.parser(json, context)
+      : parseExperimentConfig(json, context);
+    if (!config) {
+      return null;
+    }
+    config.id = experimentId;
+    config.manifest = path;
+    config.basePath = `${pluginOptions.experimentsRoot}/${experimentId}`;
+    inferEmptyPercentageSplits(Object.values(config.variants));
+    config.status = context.getMetadata(`${pluginOptions.experimentsMetaTag}-status`) || config.status;
+    config.trafficAllocation = context.getMetadata(`${pluginOptions.experimentsMetaTag}-traffic`)
+      || config.trafficAllocation;
+    return config;
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.log(`error loading experiment manifest: ${path}`, e);
+  }
+  return null;
+}
+
+/**
+ * Fetches the per-variant conversion stats for a bandit experiment.
+ * The stats are expected in the spreadsheet JSON format, with `Variant`, `Visits`
+ * and `Conversions` columns, and are loaded either from the configured endpoint or from
+ * the stats file next to the experiment manifest.
+ * @param {object} config the experiment config
+ * @param {object} pluginOptions the plugin options
+ * @returns {Promise<object[]>} the stats rows, or `null` if they could not be loaded
+ */
+async function fetchBanditStats(config, pluginOptions) {
+  let path;
+  if (pluginOptions.experimentsBanditStatsUrl) {
+    path = pluginOptions.experimentsBanditStatsUrl.replace('{experiment}', encodeURIComponent(config.id));
+  } else if (config.manifest) {
+    path = new URL(
+      pluginOptions.experimentsBanditStatsFile,
+      new URL(config.manifest, window.location.origin),
+    ).href;
+  } else {
+    return null;
+  }
+  // the stats are loaded in the eager phase, so they must not delay the page rendering
+  const controller = new AbortController();
+  const timeout = pluginOptions.experimentsBanditStatsTimeout
+    ?? DEFAULT_OPTIONS.experimentsBanditStatsTimeout;
+  const timer = timeout > 0 ? setTimeout(() => controller.abort(), timeout) : null;
+  try {
+    const resp = await fetch(path, { signal: controller.signal });
+    if (!resp.ok) {
+      // eslint-disable-next-line no-console
+      console.log('error loading bandit stats:', resp);
+      return null;
+    }
+    const json = await resp.json();
+    return Array.isArray(json.data) ? json.data : null;
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.log(`error loading bandit stats: ${path}`, e);
+  } finally {
+    clearTimeout(timer);
+  }
+  return null;
+}
+
+const BANDIT_CACHE_KEY = 'aem-experimentation-bandit';
+
+/**
+ * Computes the effective split of the variants for a bandit experiment via Thompson sampling,
+ * so the traffic goes proportionally to the probability of each variant being the best one.
+ * The control always keeps a minimum share of the traffic to continue exploring.
+ * The split is computed once per stats snapshot with a seeded sampling, and rounded to whole
+ * percentages, so it stays the same across page views until the stats change.
+ * The configured splits are kept if the stats cannot be loaded.
+ * @param {object} config the experiment config
+ * @param {object} pluginOptions the plugin options
+ * @param {object} context the plugin execution context
+ */
+async function applyBanditAllocation(config, pluginOptions, context) {
+  const rows = await fetchBanditStats(config, pluginOptions);
+  if (!rows) {
+    // eslint-disable-next-line no-console
+    console.warn(`No stats for bandit experiment ${config.id}. Falling back to the configured split.`);
+    return;
+  }
+  const stats = config.variantNames.map((variantName) => {
+    const row = rows.find((r) => context.toCamelCase(r.Variant || '') === context.toCamelCase(variantName));
+    return {
+      visits: Number(row?.Visits) || 0,
+      conversions: Number(row?.Conversions) || 0,
+    };
+  });
+  const minControlShare = Number(pluginOptions.experimentsBanditMinControlShare) || 0;
+  const snapshot = JSON.stringify([stats, minControlShare]);
+  const storage = await getStorage('session', pluginOptions);
+  let cache;
+  try {
+    cache = JSON.parse(storage.getItem(BANDIT_CACHE_KEY)) || {};
+  } catch (err) {
+    cache = {};
+  }
+  let weights = cache[config.id]?.snapshot === snapshot ? cache[config.id].weights : null;
+  if (!weights) {
+    const { getProbabilitiesToBeBest, createRandom } = await import('./stats.js');
+    weights = getProbabilitiesToBeBest(stats, 5000, createRandom(`${config.id}:${snapshot}`));
+    if (weights[0] < minControlShare) {
+      const scale = (1 - minControlShare) / (1 - weights[0]);
+      weights = weights.map((weight, i) => (i === 0 ? minControlShare : weight * scale));
+    }
+    // rounding down the challengers guarantees the control keeps its minimum share
+    weights = weights.map((weight, i) => (i === 0 ? 0 : Math.floor(weight * 100) / 100));
+    weights[0] = Math.round((1 - weights.reduce((total, weight) => total + weight, 0)) * 100) / 100;
+    cache[config.id] = { snapshot, weights };
+    storage.setItem(BANDIT_CACHE_KEY, JSON.stringify(cache));
+  }
+  config.variantNames.forEach((variantName, i) => {
+    config.variants[variantName].banditSplit = weights[i].toFixed(4);
+  });
+}
+
+/**
+ * Parses a slice of the bucket space expressed in percentages, i.e. `0-30`.
+ * @param {string} value the range to parse
+ * @returns {number[]} the start and end of the slice in the 0-1 bucket space,
+ * or `null` if the range is invalid
+ */
+function parseBucketRange(value) {
+  const [start, end] = String(value || '').split('-').map((v) => parseFloat(v) / 100);
+  if (Number.isNaN(start) || Number.isNaN(end) || start < 0 || end > 1 || start >= end) {
+    return null;
+  }
+  return [start, end];
+}
+
+/**
+ * Gets the layer the experiment belongs to. Experiments in the same layer are mutually exclusive,
+ * and each one claims a slice of the bucket space via its layer range.
+ * @param {object} config the experiment config
+ * @returns {object} the layer definition, or `null` if the experiment is not part of a layer
+ */
+function getLayer(config) {
+  if (!config.layer) {
+    return null;
+  }
+  const range = parseBucketRange(config.layerRange);
+  if (!range) {
+    // eslint-disable-next-line no-console
+    console.warn(`Invalid layer range "${config.layerRange}" for experiment ${config.id}. Ignoring layer ${config.layer}.`);
+    return null;
+  }
+  return { id: config.layer.trim().toLowerCase(), range };
+}
+
+const claimedLayerRanges = {};
+/**
+ * Checks whether the experiment's slice of its layer overlaps the slice claimed by another
+ * experiment of the same layer on the page. The slice is claimed for the experiment otherwise.
+ * @param {object} config the experiment config
+ * @returns {boolean} `true` if the slices overlap, and the experiment should be skipped
+ */
+function hasLayerOverlap(config) {
+  const layer = getLayer(config);
+  if (!layer) {
+    return false;
   }
-  try {
-    const resp = await fetch(path);
-    if (!resp.ok) {
-      // eslint-disable-next-line no-console
-      console.log('error loading experiment config:', resp);
-      return null;
-    }
-    const json = await resp.json();
-    const config = pluginOptions.parser
-      ? pluginOptions.parser(json, context)
-      : parseExperimentConfig(json, context);
-    if (!config) {
-      return null;
-    }
-    config.id = experimentId;
-    config.manifest = path;
-    config.basePath = `${pluginOptions.experimentsRoot}/${experimentId}`;
-    inferEmptyPercentageSplits(Object.values(config.variants));
-    config.status = context.getMetadata(`${pluginOptions.experimentsMetaTag}-status`) || config.status;
-    return config;
-  } catch (e) {
+  const claimed = claimedLayerRanges[layer.id] || [];
+  const conflict = claimed.find(({ id, range }) => id !== config.id
+    && range[0] < layer.range[1] && layer.range[0] < range[1]);
+  if (conflict) {
     // eslint-disable-next-line no-console
-    console.log(`error loading experiment manifest: ${path}`, e);
+    console.warn(`The layer range of experiment ${config.id} overlaps the one of experiment ${conflict.id} in layer ${layer.id}. Skipping experiment ${config.id}.`);
+    config.layerConflict = conflict.id;
+    return true;
   }
-  return null;
+  claimedLayerRanges[layer.id] = [...claimed, { id: config.id, range: layer.range }];
+  return false;
+}
+
+/**
+ * Gets the share of the eligible traffic that enters the experiment.
+ * @param {object} config the experiment config
+ * @returns {number} the traffic allocation in the 0-1 range
+ */
+function getTrafficAllocation(config) {
+  const allocation = parseFloat(config.trafficAllocation) / 100;
+  if (Number.isNaN(allocation)) {
+    return 1;
+  }
+  return Math.min(Math.max(allocation, 0), 1);
 }
 
-function getDecisionPolicy(config) {
-  const decisionPolicy = {
+/**
+ * Builds the decision policy for the experiment. If some audiences have a specific split,
+ * the policy starts with an audience node that branches to a dedicated experimentation node
+ * for each of them, and falls back to the default split for the other visitors.
+ * @param {object} config the experiment config
+ * @param {object} identityMap the identity map for the visitor, if any
+ * @returns {object} the decision policy
+ */
+function getDecisionPolicy(config, identityMap) {
+  const layer = getLayer(config);
+  const createExperimentationNode = (id, treatments, audience) => ({
+    id,
+    type: 'EXPERIMENTATION',
+    experiment: {
+      id: config.id,
+      // device assignments are re-bucketed when the audience-specific split changes
+      ...(audience ? { audience } : {}),
+      identityNamespace: identityMap ? Object.keys(identityMap)[0] : 'ECID',
+      randomizationUnit: identityMap ? 'VISITOR' : 'DEVICE',
+      treatments,
+      trafficAllocation: getTrafficAllocation(config),
+      ...(layer ? { layer } : {}),
+    },
+  });
+  const defaultTreatments = Object.entries(config.variants).map(([key, props]) => ({
+    id: key,
+    allocationPercentage: Number(props.banditSplit || props.percentageSplit) * 100,
+  }));
+  const audiencesWithSplit = getSplitAudiences(config);
+  if (!audiencesWithSplit.length) {
+    return {
+      id: 'content-experimentation-policy',
+      rootDecisionNodeId: 'n1',
+      decisionNodes: [createExperimentationNode('n1', defaultTreatments)],
+    };
+  }
+  return {
     id: 'content-experimentation-policy',
     rootDecisionNodeId: 'n1',
     decisionNodes: [{
       id: 'n1',
-      type: 'EXPERIMENTATION',
-      experiment: {
-        id: config.id,
-        identityNamespace: 'ECID',
-        randomizationUnit: 'DEVICE',
-        treatments: Object.entries(config.variants).map(([key, props]) => ({
+      type: 'AUDIENCE',
+      branches: audiencesWithSplit.map((audience, i) => ({ audience, nodeId: `n${i + 2}` })),
+      defaultNodeId: `n${audiencesWithSplit.length + 2}`,
+    },
+    ...audiencesWithSplit.map((audience, i) => createExperimentationNode(
+      `n${i + 2}`,
+      // variants without a share for the audience are not part of its variant set
+      Object.entries(config.variants)
+        .map(([key, props]) => ({
           id: key,
-          allocationPercentage: Number(props.percentageSplit) * 100,
-        })),
-      },
-    }],
+          allocationPercentage: Number(props.audienceSplits?.[audience]) * 100 || 0,
+        }))
+        .filter((treatment) => treatment.allocationPercentage > 0),
+      audience,
+    )),
+    createExperimentationNode(`n${audiencesWithSplit.length + 2}`, defaultTreatments),
+    ],
   };
-  return decisionPolicy;
 }
 
-async function getConfig(experiment, instantExperiment, pluginOptions, context) {
+/**
+ * Evaluates the decision policy using the unified decisioning engine.
+ * @param {object} decisionPolicy the decision policy
+ * @param {object} identityMap the identity map for the visitor, if any
+ * @param {object} pluginOptions the plugin options
+ * @param {string[]} [audiences] the audiences resolved for the visitor, for audience nodes
+ * @returns {Promise<object[]>} the selected treatments
+ */
+async function evaluateDecisionPolicy(decisionPolicy, identityMap, pluginOptions, audiences = []) {
+  // eslint-disable-next-line import/extensions
+  const { ued } = await import('./ued.js');
+  const decision = ued.evaluateDecisionPolicy(decisionPolicy, {
+    identityMap,
+    audiences,
+    storage: await getStorage(pluginOptions.storage, pluginOptions),
+    bucketStorage: await getVisitorStorage(pluginOptions),
+    storageKey: pluginOptions.storageKey,
+    storageTtl: pluginOptions.storageTtl,
+  });
+  return decision.items;
+}
+
+/**
+ * Parses the list of experiments configured in the metadata.
+ * @param {string} value the raw metadata value, i.e. `hero-test, cta-test`
+ * @returns {string[]} the list of experiment identifiers
+ */
+function getExperimentIds(value) {
+  return value ? value.split(',').map((id) => id.trim()).filter((id) => !!id) : [];
+}
+
+/**
+ * Gets the experiment and variant that are forced via the query parameters (typically for
+ * simulation purposes). Several experiments can be forced at once using a comma-separated list,
+ * i.e. `?experiment=hero-test/challenger-1,cta-test/control`.
+ * @param {string[]} experimentIds the identifiers the experiment is known under
+ * @param {object} pluginOptions the plugin options
+ * @param {object} context the plugin execution context
+ * @returns an array with the forced experiment and variant, or an empty array
+ */
+function getForcedExperiment(experimentIds, pluginOptions, context) {
   const usp = new URLSearchParams(window.location.search);
-  const [forcedExperiment, forcedVariant] = usp.has(pluginOptions.experimentsQueryParameter)
-    ? usp.get(pluginOptions.experimentsQueryParameter).split('/')
-    : [];
+  if (!usp.has(pluginOptions.experimentsQueryParameter)) {
+    return [];
+  }
+  const ids = experimentIds.filter((id) => !!id).map((id) => context.toClassName(id));
+  return usp.get(pluginOptions.experimentsQueryParameter)
+    .split(',')
+    .map((value) => value.trim().split('/'))
+    .find(([experiment]) => ids.includes(context.toClassName(experiment))) || [];
+}
+
+/**
+ * Creates an execution context that resolves the metadata for the given experiment.
+ * Experiment-specific properties (i.e. `Experiment Hero Test Variants`) take precedence over
+ * the generic ones (i.e. `Experiment Variants`), which only apply to the first experiment
+ * on the page.
+ * @param {string} experimentId the experiment identifier
+ * @param {boolean} isFirst whether this is the first experiment configured on the page
+ * @param {object} pluginOptions the plugin options
+ * @param {object} context the plugin execution context
+ * @returns {object} the execution context for the experiment
+ */
+function getExperimentContext(experimentId, isFirst, pluginOptions, context) {
+  const prefix = `${pluginOptions.experimentsMetaTag}-`;
+  const scope = `${prefix}${context.toClassName(experimentId)}-`;
+  return {
+    ...context,
+    getMetadata: (name, ...args) => {
+      if (!name.startsWith(prefix)) {
+        return context.getMetadata(name, ...args);
+      }
+      return context.getMetadata(name.replace(prefix, scope), ...args)
+        || (isFirst ? context.getMetadata(name, ...args) : '');
+    },
+  };
+}
 
+async function getConfig(experiment, instantExperiment, pluginOptions, context) {
   const experimentConfig = instantExperiment
     ? await getConfigForInstantExperiment(experiment, instantExperiment, pluginOptions, context)
     : await getConfigForFullExperiment(experiment, pluginOptions, context);
@@ -380,12 +1455,24 @@ async function getConfig(experiment, instantExperiment, pluginOptions, context)
     return null;
   }
 
+  if (context.toClassName(experimentConfig.allocation) === 'bandit') {
+    await applyBanditAllocation(experimentConfig, pluginOptions, context);
+  }
+
+  const [forcedExperiment, forcedVariant] = getForcedExperiment(
+    [experiment, experimentConfig.id],
+    pluginOptions,
+    context,
+  );
+
+  const usp = new URLSearchParams(window.location.search);
   const forcedAudience = usp.has(pluginOptions.audiencesQueryParameter)
     ? context.toClassName(usp.get(pluginOptions.audiencesQueryParameter))
     : null;
 
+  const audiences = experimentConfig.audiences.map((a) => normalizeAudience(a, context));
   experimentConfig.resolvedAudiences = await getResolvedAudiences(
-    experimentConfig.audiences.map(context.toClassName),
+    audiences,
     pluginOptions,
     context,
   );
@@ -395,40 +1482,69 @@ async function getConfig(experiment, instantExperiment, pluginOptions, context)
     // experiment has resolved audiences if configured
     && (!experimentConfig.resolvedAudiences || experimentConfig.resolvedAudiences.length)
     // forced audience resolves if defined
-    && (!forcedAudience || experimentConfig.audiences.includes(forcedAudience))
+    && (!forcedAudience || audiences.includes(forcedAudience)
+      || !!experimentConfig.resolvedAudiences?.length)
     && (!experimentConfig.startDate || new Date(experimentConfig.startDate) <= Date.now())
     && (!experimentConfig.endDate || new Date(experimentConfig.endDate) > Date.now())
+    // experiments of the same layer cannot claim overlapping slices
+    && !hasLayerOverlap(experimentConfig)
   );
 
-  window.hlx = window.hlx || {};
-  window.hlx.experiment = experimentConfig;
-
   // eslint-disable-next-line no-console
   console.debug('run', experimentConfig.run, experimentConfig.audiences);
   if (forcedVariant && experimentConfig.variantNames.includes(forcedVariant)) {
     experimentConfig.selectedVariant = forcedVariant;
+  } else if (await isConsentDenied(pluginOptions)) {
+    // eslint-disable-next-line no-console
+    console.debug(`no consent for experiment ${experimentConfig.id}. Falling back to ${experimentConfig.variantNames[0]}.`);
+    // the visitor was not bucketed, so it must not be counted in the control either
+    experimentConfig.excluded = true;
+    experimentConfig.excludedBy = 'consent';
+    [experimentConfig.selectedVariant] = experimentConfig.variantNames;
   } else {
-    // eslint-disable-next-line import/extensions
-    const { ued } = await import('./ued.js');
-    const decision = ued.evaluateDecisionPolicy(getDecisionPolicy(experimentConfig), {});
-    experimentConfig.selectedVariant = decision.items[0].id;
+    const identityMap = await getIdentityMap(pluginOptions);
+    const [treatment] = await evaluateDecisionPolicy(
+      getDecisionPolicy(experimentConfig, identityMap),
+      identityMap,
+      pluginOptions,
+      await getResolvedAudiences(getSplitAudiences(experimentConfig), pluginOptions, context) || [],
+    );
+    // the audience whose split was used, if any
+    experimentConfig.splitAudience = treatment.audience || null;
+    // visitors outside the experiment's layer slice or traffic allocation get the control
+    // and are not tracked
+    experimentConfig.excluded = !treatment.id;
+    experimentConfig.excludedBy = treatment.excludedBy;
+    experimentConfig.selectedVariant = treatment.id || experimentConfig.variantNames[0];
   }
   return experimentConfig;
 }
 
-export async function runExperiment(document, options, context) {
-  if (isBot()) {
-    return false;
-  }
-
-  const pluginOptions = { ...DEFAULT_OPTIONS, ...(options || {}) };
-  const experiment = context.getMetadata(pluginOptions.experimentsMetaTag);
-  if (!experiment) {
-    return false;
-  }
-  const variants = context.getMetadata('instant-experiment')
+/**
+ * Resolves a single experiment and serves the selected variant.
+ * @param {Document} document the page document
+ * @param {string} experiment the experiment identifier
+ * @param {object} pluginOptions the plugin options
+ * @param {object} context the execution context for the experiment
+ * @param {object} state the state shared across the experiments on the page
+ * @returns the path that was served, or `false` if the default content is kept
+ */
+async function runSingleExperiment(document, experiment, pluginOptions, context, state) {
+  const variants = (state.isFirst && context.getMetadata('instant-experiment'))
     || context.getMetadata(`${pluginOptions.experimentsMetaTag}-variants`);
   let experimentConfig;
+  // subscribers are told why the default content is kept
+  const fallback = (reason) => {
+    dispatchLifecycleEvent(EVENTS.VARIANT_FALLBACK, {
+      experiment: experimentConfig?.id || experiment,
+      variant: experimentConfig?.variantNames?.[0] || null,
+      selectedVariant: experimentConfig?.selectedVariant || null,
+      servedExperience: window.location.pathname,
+      config: experimentConfig || null,
+      reason,
+    });
+    return false;
+  };
   try {
     experimentConfig = await getConfig(experiment, variants, pluginOptions, context);
   } catch (err) {
@@ -438,65 +1554,176 @@ export async function runExperiment(document, options, context) {
   if (!experimentConfig || !isValidExperimentationConfig(experimentConfig)) {
     // eslint-disable-next-line no-console
     console.warn('Invalid experiment config. Please review your metadata, sheet and parser.');
-    return false;
+    experimentConfig = null;
+    return fallback('invalid-config');
   }
 
-  const usp = new URLSearchParams(window.location.search);
-  const forcedVariant = usp.has(pluginOptions.experimentsQueryParameter)
-    ? usp.get(pluginOptions.experimentsQueryParameter).split('/')[1]
-    : null;
+  window.hlx.experiments.push(experimentConfig);
+  [window.hlx.experiment] = window.hlx.experiments;
+  dispatchLifecycleEvent(EVENTS.EXPERIMENT_RESOLVED, {
+    experiment: experimentConfig.id,
+    variant: experimentConfig.selectedVariant,
+    config: experimentConfig,
+  });
+
+  const [, forcedVariant] = getForcedExperiment(
+    [experiment, experimentConfig.id],
+    pluginOptions,
+    context,
+  );
   if (!experimentConfig.run && !forcedVariant) {
+    if (experimentConfig.layerConflict) {
+      return fallback('layer-conflict');
+    }
     // eslint-disable-next-line no-console
-    console.warn('Experiment will not run. It is either not active or its configured audiences are not resolved.');
-    return false;
+    console.warn(`Experiment ${experimentConfig.id} will not run. It is either not active or its configured audiences are not resolved.`);
+    return fallback('not-running');
+  }
+  if (experimentConfig.excluded) {
+    // eslint-disable-next-line no-console
+    console.debug(`visitor is excluded from experiment ${experimentConfig.id} (${experimentConfig.excludedBy}). Serving default content.`);
+    return fallback(experimentConfig.excludedBy === 'consent'
+      ? 'no-consent'
+      : `${experimentConfig.excludedBy}-allocation`);
   }
   // eslint-disable-next-line no-console
-  console.debug(`running experiment (${window.hlx.experiment.id}) -> ${window.hlx.experiment.selectedVariant}`);
+  console.debug(`running experiment (${experimentConfig.id}) -> ${experimentConfig.selectedVariant}`);
 
   if (experimentConfig.selectedVariant === experimentConfig.variantNames[0]) {
     document.body.classList.add(`experiment-${context.toClassName(experimentConfig.id)}`);
     document.body.classList.add(`variant-${context.toClassName(experimentConfig.selectedVariant)}`);
-    onPageActivation(() => {
-      context.sampleRUM('experiment', {
-        source: experimentConfig.id,
-        target: experimentConfig.selectedVariant,
-      });
+    trackCheckpoint('experiment', {
+      source: experimentConfig.id,
+      target: experimentConfig.selectedVariant,
+    }, pluginOptions, context, {
+      type: 'experiment',
+      id: experimentConfig.id,
+      variant: experimentConfig.selectedVariant,
+    });
+    dispatchLifecycleEvent(EVENTS.VARIANT_SERVED, {
+      experiment: experimentConfig.id,
+      variant: experimentConfig.selectedVariant,
+      servedExperience: window.location.pathname,
+      config: experimentConfig,
     });
     return false;
   }
 
-  const { pages } = experimentConfig.variants[experimentConfig.selectedVariant];
+  const variant = experimentConfig.variants[experimentConfig.selectedVariant];
+  const { pages } = variant;
   if (!pages.length) {
-    return false;
+    return fallback('no-variant-pages');
   }
 
   const currentPath = window.location.pathname;
   const control = experimentConfig.variants[experimentConfig.variantNames[0]];
   const index = control.pages.indexOf(currentPath);
   if (index < 0) {
-    return false;
+    return fallback('page-not-in-experiment');
   }
 
-  // Fullpage content experiment
+  // Fullpage, section-level or DOM operations experiment
   document.body.classList.add(`experiment-${context.toClassName(experimentConfig.id)}`);
+  const sections = getSectionKeys(experimentConfig.sections, context);
+  const operationsFile = pages[index].endsWith('.json') ? pages[index] : null;
+  const path = operationsFile ? currentPath : pages[index];
   let result;
-  if (pages[index] !== currentPath) {
-    result = await replaceInner(pages[index], document.querySelector('main'));
-  } else {
+  if (path === currentPath) {
     result = currentPath;
+  } else if (state.isMainReplaced
+    || (!sections.length && state.replacedSections.length)
+    || sections.some((key) => state.replacedSections.includes(key))) {
+    // eslint-disable-next-line no-console
+    console.warn(`The page content was already replaced by another experiment. Cannot serve ${path} for experiment ${experimentConfig.id}.`);
+    result = null;
+  } else if (sections.length) {
+    experimentConfig.servedSections = await replaceSections(
+      path,
+      document.querySelector('main'),
+      sections,
+      context,
+    );
+    result = experimentConfig.servedSections.length ? path : null;
+    state.replacedSections.push(...experimentConfig.servedSections);
+  } else {
+    result = await replaceInner(path, document.querySelector('main'));
+    state.isMainReplaced = !!result;
+  }
+  if (result && (variant.operations || operationsFile)) {
+    const operations = await getVariantOperations(variant, operationsFile, context);
+    experimentConfig.failedOperations = operations
+      ? applyOperations(document, operations)
+      : [];
+    if (experimentConfig.failedOperations.length) {
+      // eslint-disable-next-line no-console
+      console.warn(`Some operations failed for variant ${experimentConfig.selectedVariant} of experiment ${experimentConfig.id}.`, experimentConfig.failedOperations);
+    }
+    // nothing was changed on the page, so the visitor actually sees the control
+    if (path === currentPath
+      && (!operations || experimentConfig.failedOperations.length === operations.length)) {
+      result = null;
+    }
   }
   experimentConfig.servedExperience = result || currentPath;
   if (!result) {
     // eslint-disable-next-line no-console
-    console.debug(`failed to serve variant ${window.hlx.experiment.selectedVariant}. Falling back to ${experimentConfig.variantNames[0]}.`);
+    console.debug(`failed to serve variant ${experimentConfig.selectedVariant}. Falling back to ${experimentConfig.variantNames[0]}.`);
   }
   document.body.classList.add(`variant-${context.toClassName(result ? experimentConfig.selectedVariant : experimentConfig.variantNames[0])}`);
-  onPageActivation(() => {
-    context.sampleRUM('experiment', {
-      source: experimentConfig.id,
-      target: result ? experimentConfig.selectedVariant : experimentConfig.variantNames[0],
-    });
+  trackCheckpoint('experiment', {
+    source: experimentConfig.id,
+    target: result ? experimentConfig.selectedVariant : experimentConfig.variantNames[0],
+  }, pluginOptions, context, {
+    type: 'experiment',
+    id: experimentConfig.id,
+    variant: result ? experimentConfig.selectedVariant : experimentConfig.variantNames[0],
   });
+  dispatchLifecycleEvent(result ? EVENTS.VARIANT_SERVED : EVENTS.VARIANT_FALLBACK, {
+    experiment: experimentConfig.id,
+    variant: result ? experimentConfig.selectedVariant : experimentConfig.variantNames[0],
+    selectedVariant: experimentConfig.selectedVariant,
+    servedExperience: experimentConfig.servedExperience,
+    config: experimentConfig,
+    ...(result ? {} : { reason: 'serve-failed' }),
+  });
+  return result;
+}
+
+export async function runExperiment(document, options, context) {
+  if (isBot()) {
+    return false;
+  }
+
+  const pluginOptions = { ...DEFAULT_OPTIONS, ...(options || {}) };
+  const experiments = getExperimentIds(context.getMetadata(pluginOptions.experimentsMetaTag));
+  if (!experiments.length) {
+    return false;
+  }
+
+  window.hlx = window.hlx || {};
+  window.hlx.experiments = [];
+
+  // Experiments are resolved sequentially so they can detect conflicting content replacements
+  const state = { isMainReplaced: false, replacedSections: [] };
+  let result = false;
+  for (let i = 0; i < experiments.length; i += 1) {
+    state.isFirst = i === 0;
+    const experimentContext = getExperimentContext(
+      experiments[i],
+      state.isFirst,
+      pluginOptions,
+      context,
+    );
+    // eslint-disable-next-line no-await-in-loop
+    const res = await runSingleExperiment(
+      document,
+      experiments[i],
+      pluginOptions,
+      experimentContext,
+      state,
+    );
+    result = result || res;
+  }
   return result;
 }
 
@@ -518,7 +1745,7 @@ export async function runCampaign(document, options, context) {
   let audiences = context.getMetadata(`${pluginOptions.campaignsMetaTagPrefix}-audience`);
   let resolvedAudiences = null;
   if (audiences) {
-    audiences = audiences.split(',').map(context.toClassName);
+    audiences = splitAudiences(audiences).map((a) => normalizeAudience(a, context));
     resolvedAudiences = await getResolvedAudiences(audiences, pluginOptions, context);
     if (!!resolvedAudiences && !resolvedAudiences.length) {
       return false;
@@ -540,6 +1767,19 @@ export async function runCampaign(document, options, context) {
     window.hlx.campaign.resolvedAudiences = window.hlx.campaign;
   }
 
+  if (await isConsentDenied(pluginOptions)) {
+    // eslint-disable-next-line no-console
+    console.debug(`no consent for campaign ${campaign}. Falling back to default content.`);
+    window.hlx.campaign.servedExperience = window.location.pathname;
+    dispatchLifecycleEvent(EVENTS.CAMPAIGN_SERVED, {
+      campaign,
+      target: 'default',
+      resolvedAudiences,
+      servedExperience: window.location.pathname,
+    });
+    return false;
+  }
+
   try {
     const url = new URL(urlString);
     const result = await replaceInner(url.pathname, document.querySelector('main'));
@@ -549,11 +1789,19 @@ export async function runCampaign(document, options, context) {
       console.debug(`failed to serve campaign ${campaign}. Falling back to default content.`);
     }
     document.body.classList.add(`campaign-${campaign}`);
-    onPageActivation(() => {
-      context.sampleRUM('campaign', {
-        source: window.location.href,
-        target: result ? campaign : 'default',
-      });
+    trackCheckpoint('campaign', {
+      source: window.location.href,
+      target: result ? campaign : 'default',
+    }, pluginOptions, context, {
+      type: 'campaign',
+      id: campaign,
+      variant: result ? campaign : 'default',
+    });
+    dispatchLifecycleEvent(EVENTS.CAMPAIGN_SERVED, {
+      campaign,
+      target: result ? campaign : 'default',
+      resolvedAudiences,
+      servedExperience: window.hlx.campaign.servedExperience,
     });
     return result;
   } catch (err) {
@@ -563,6 +1811,80 @@ export async function runCampaign(document, options, context) {
   }
 }
 
+/**
+ * Parses the audience priorities, either as a list ordered from the highest priority,
+ * i.e. `returning, mobile`, or with explicit priorities, i.e. `returning: 3, mobile: 1`.
+ * @param {string|string[]|object} value the priorities
+ * @param {object} context the plugin execution context
+ * @returns {object} the priority of each audience
+ */
+function parseAudiencePriorities(value, context) {
+  let entries;
+  if (typeof value === 'string') {
+    entries = value.split(',').map((entry) => entry.split(':'));
+  } else if (Array.isArray(value)) {
+    entries = value.map((name) => [name]);
+  } else {
+    entries = Object.entries(value || {});
+  }
+  return Object.fromEntries(entries
+    .filter(([name]) => name && name.trim())
+    .map(([name, priority], i, all) => {
+      // an explicit `0` priority is kept, only missing ones default to the list order
+      const parsed = Number.parseFloat(priority);
+      return [context.toClassName(name), Number.isFinite(parsed) ? parsed : all.length - i];
+    }));
+}
+
+/**
+ * Ranks the resolved audiences according to the conflict resolution strategy:
+ * - `priority`: the audience with the highest priority
+ * - `specificity`: the audience combining the most conditions, then the highest priority
+ * - `weighted`: a random audience, weighted by the priorities, unless the visitor already got
+ *   one of the resolved audiences
+ * Ties are broken by the order in which the audiences were authored.
+ * @param {string[]} resolvedAudiences the resolved audiences, in authoring order
+ * @param {string} strategy the conflict resolution strategy
+ * @param {object} priorities the priority of each audience
+ * @param {object} audiences the audience definitions
+ * @param {object} context the plugin execution context
+ * @param {string} [previousAudience] the audience previously picked for the `weighted` strategy
+ * @returns {string[]} the ranked audiences: the first one is served, the others are runners-up
+ */
+function rankAudiences(
+  resolvedAudiences,
+  strategy,
+  priorities,
+  audiences,
+  context,
+  previousAudience,
+) {
+  const byPriority = (a, b) => (priorities[b] || 0) - (priorities[a] || 0)
+    || resolvedAudiences.indexOf(a) - resolvedAudiences.indexOf(b);
+  const ranked = [...resolvedAudiences].sort(byPriority);
+  if (strategy === 'specificity') {
+    const getSpecificity = (name) => (typeof audiences[name] === 'string'
+      ? new Set(normalizeAudience(audiences[name], context).match(/[^&|,!()]+/g)).size
+      : Number(audiences[name]?.specificity) || 1);
+    return ranked.sort((a, b) => getSpecificity(b) - getSpecificity(a) || byPriority(a, b));
+  }
+  if (strategy === 'weighted') {
+    if (ranked.includes(previousAudience)) {
+      return [previousAudience, ...ranked.filter((name) => name !== previousAudience)];
+    }
+    const weights = ranked.map((name) => priorities[name] || 1);
+    let random = Math.random() * weights.reduce((total, weight) => total + weight, 0);
+    const index = weights.findIndex((weight) => {
+      random -= weight;
+      return random < 0;
+    });
+    return [...ranked.splice(Math.max(index, 0), 1), ...ranked];
+  }
+  return ranked;
+}
+
+const AUDIENCE_CHOICES_KEY = 'aem-experimentation-audience-choices';
+
 export async function serveAudience(document, options, context) {
   if (isBot()) {
     return false;
@@ -573,13 +1895,17 @@ export async function serveAudience(document, options, context) {
   if (!Object.keys(configuredAudiences).length) {
     return false;
   }
+  // the settings use the plural prefix, i.e. `Audiences Priority`, so they cannot collide
+  // with the name of an audience
+  const priority = context.getMetadata(`${pluginOptions.audiencesMetaTagPrefix}s-priority`);
+  const strategy = context.getMetadata(`${pluginOptions.audiencesMetaTagPrefix}s-strategy`);
 
-  const audiences = await getResolvedAudiences(
+  const resolvedAudiences = await getResolvedAudiences(
     Object.keys(configuredAudiences).map(context.toClassName),
     pluginOptions,
     context,
   );
-  if (!audiences || !audiences.length) {
+  if (!resolvedAudiences || !resolvedAudiences.length) {
     return false;
   }
 
@@ -588,13 +1914,57 @@ export async function serveAudience(document, options, context) {
     ? context.toClassName(usp.get(pluginOptions.audiencesQueryParameter))
     : null;
 
-  const selectedAudience = forcedAudience || audiences[0];
+  const audienceStrategy = context.toClassName(strategy || pluginOptions.audiencesStrategy);
+  // the weighted pick is remembered like the experiment assignments, so the visitor keeps
+  // getting the same content for the same set of resolved audiences
+  const storage = audienceStrategy === 'weighted'
+    ? await getStorage(pluginOptions.storage, pluginOptions)
+    : null;
+  const choiceKey = [...resolvedAudiences].sort().join(',');
+  let choices = {};
+  try {
+    choices = (storage && JSON.parse(storage.getItem(AUDIENCE_CHOICES_KEY))) || {};
+  } catch (err) {
+    choices = {};
+  }
+  const audiences = forcedAudience
+    ? [forcedAudience, ...resolvedAudiences.filter((a) => a !== forcedAudience)]
+    : rankAudiences(
+      resolvedAudiences,
+      audienceStrategy,
+      parseAudiencePriorities(priority || pluginOptions.audiencesPriority, context),
+      await getAudiences(pluginOptions, context),
+      context,
+      choices[choiceKey],
+    );
+  if (storage && !forcedAudience && choices[choiceKey] !== audiences[0]) {
+    [choices[choiceKey]] = audiences;
+    storage.setItem(AUDIENCE_CHOICES_KEY, JSON.stringify(choices));
+  }
+  const [selectedAudience, ...runnersUp] = audiences;
   const urlString = configuredAudiences[selectedAudience];
   if (!urlString) {
     return false;
   }
 
-  window.hlx.audience = { selectedAudience };
+  window.hlx.audience = {
+    selectedAudience,
+    runnersUp,
+    strategy: forcedAudience ? 'forced' : audienceStrategy,
+  };
+
+  if (await isConsentDenied(pluginOptions)) {
+    // eslint-disable-next-line no-console
+    console.debug(`no consent for audience ${selectedAudience}. Falling back to default content.`);
+    window.hlx.audience.servedExperience = window.location.pathname;
+    dispatchLifecycleEvent(EVENTS.AUDIENCE_RESOLVED, {
+      audience: selectedAudience,
+      target: 'default',
+      resolvedAudiences: audiences,
+      servedExperience: window.location.pathname,
+    });
+    return false;
+  }
 
   try {
     const url = new URL(urlString);
@@ -604,12 +1974,21 @@ export async function serveAudience(document, options, context) {
       // eslint-disable-next-line no-console
       console.debug(`failed to serve audience ${selectedAudience}. Falling back to default content.`);
     }
-    document.body.classList.add(audiences.map((audience) => `audience-${audience}`));
-    onPageActivation(() => {
-      context.sampleRUM('audiences', {
-        source: window.location.href,
-        target: result ? forcedAudience || audiences.join(',') : 'default',
-      });
+    document.body.classList.add(...audiences.map((audience) => `audience-${audience}`));
+    // the served audience comes first, followed by the runners-up
+    trackCheckpoint('audiences', {
+      source: window.location.href,
+      target: result ? audiences.join(',') : 'default',
+    }, pluginOptions, context, {
+      type: 'audience',
+      id: selectedAudience,
+      variant: result ? selectedAudience : 'default',
+    });
+    dispatchLifecycleEvent(EVENTS.AUDIENCE_RESOLVED, {
+      audience: selectedAudience,
+      target: result ? audiences.join(',') : 'default',
+      resolvedAudiences: audiences,
+      servedExperience: window.hlx.audience.servedExperience,
     });
     return result;
   } catch (err) {
@@ -619,11 +1998,16 @@ export async function serveAudience(document, options, context) {
   }
 }
 
-window.hlx.patchBlockConfig?.push((config) => {
-  const { experiment } = window.hlx;
-
-  // No experiment is running
-  if (!experiment || !experiment.run) {
+/**
+ * Patches the block config so the block code is loaded from the variant selected in the experiment.
+ * @param {object} config the block config
+ * @param {object} experiment the experiment config
+ * @returns {object} the patched block config, or the original one if the experiment does not
+ * modify the block
+ */
+function getBlockConfigForExperiment(config, experiment) {
+  // The experiment is not running
+  if (!experiment.run) {
     return config;
   }
 
@@ -678,6 +2062,23 @@ window.hlx.patchBlockConfig?.push((config) => {
     cssPath: `${origin}${codeBasePath}${path}/${config.blockName}.css`,
     jsPath: `${origin}${codeBasePath}${path}/${config.blockName}.js`,
   };
+}
+
+window.hlx.patchBlockConfig?.push((config) => {
+  const { experiments } = window.hlx;
+
+  // No experiment is running
+  if (!experiments || !experiments.length) {
+    return config;
+  }
+
+  // The first experiment that modifies the block wins
+  let patchedConfig = config;
+  experiments.some((experiment) => {
+    patchedConfig = getBlockConfigForExperiment(config, experiment);
+    return patchedConfig !== config;
+  });
+  return patchedConfig;
 });
 
 let isAdjusted = false;
@@ -703,7 +2104,7 @@ function adjustedRumSamplingRate(checkpoint, options, context) {
 }
 
 function adjustRumSampligRate(document, options, context) {
-  const checkpoints = ['audiences', 'campaign', 'experiment'];
+  const checkpoints = ['audiences', 'campaign', 'experiment', 'holdout'];
   if (context.sampleRUM.always) { // RUM v1.x
     checkpoints.forEach((ck) => {
       context.sampleRUM.always.on(ck, adjustedRumSamplingRate(ck, options, context));
@@ -719,17 +2120,265 @@ function adjustRumSampligRate(document, options, context) {
   }
 }
 
+/**
+ * Checks if the visitor is part of the site-wide holdout group, that never sees any campaign,
+ * experiment or audience-targeted content.
+ * @param {object} options the plugin options
+ * @param {object} context the plugin execution context
+ * @returns {Promise<object>} the holdout details, or `null` if no holdout is configured
+ */
+export async function resolveHoldout(options, context) {
+  const pluginOptions = { ...DEFAULT_OPTIONS, ...(options || {}) };
+  const percentage = Math.min(parseFloat(pluginOptions.holdout) || 0, 100);
+  if (isBot() || percentage <= 0) {
+    return null;
+  }
+
+  // If we have a forced holdout set in the query parameters (typically for simulation purposes)
+  const usp = new URLSearchParams(window.location.search);
+  const forcedHoldout = usp.has(pluginOptions.holdoutQueryParameter)
+    ? context.toClassName(usp.get(pluginOptions.holdoutQueryParameter))
+    : null;
+
+  let isHoldout;
+  if (forcedHoldout) {
+    isHoldout = ['on', 'true', 'holdout'].includes(forcedHoldout);
+  } else if (await isConsentDenied(pluginOptions)) {
+    // personalized content is not served anyway if the end-user did not consent
+    return null;
+  } else {
+    // the holdout membership must be stable across sessions, so it is always bucketed on
+    // a persistent visitor id, even if the experiments are not
+    let identityMap = await getIdentityMap(pluginOptions);
+    if (!identityMap) {
+      const id = await getFirstPartyVisitorId(pluginOptions);
+      identityMap = id ? { FPID: [{ id }] } : null;
+    }
+    if (!identityMap) {
+      // eslint-disable-next-line no-console
+      console.warn('The visitor id cannot be persisted yet (i.e. no storage consent). Skipping the holdout.');
+      return null;
+    }
+    const [treatment] = await evaluateDecisionPolicy(
+      getDecisionPolicy({
+        id: pluginOptions.holdoutId,
+        variants: {
+          holdout: { percentageSplit: percentage / 100 },
+          exposed: { percentageSplit: 1 - percentage / 100 },
+        },
+      }, identityMap),
+      identityMap,
+      pluginOptions,
+    );
+    isHoldout = treatment.id === 'holdout';
+  }
+
+  window.hlx = window.hlx || {};
+  window.hlx.holdout = { id: pluginOptions.holdoutId, percentage, isHoldout };
+  trackCheckpoint('holdout', {
+    source: pluginOptions.holdoutId,
+    target: isHoldout ? 'holdout' : 'exposed',
+  }, pluginOptions, context);
+  return window.hlx.holdout;
+}
+
+/**
+ * Gets the experiences the visitor was exposed to on the current page.
+ * @returns {object[]} the exposures, as `{ type, id, variant }` objects
+ */
+function getExposures() {
+  return dispatchedEvents.map(({ type, detail }) => {
+    switch (type) {
+      case EVENTS.VARIANT_SERVED:
+        return { type: 'experiment', id: detail.experiment, variant: detail.variant };
+      case EVENTS.VARIANT_FALLBACK:
+        // only the visitors that were bucketed, but could not get their variant, are exposed
+        return detail.reason === 'serve-failed'
+          ? { type: 'experiment', id: detail.experiment, variant: detail.variant }
+          : null;
+      case EVENTS.CAMPAIGN_SERVED:
+        return { type: 'campaign', id: detail.campaign, variant: detail.target };
+      case EVENTS.AUDIENCE_RESOLVED:
+        return {
+          type: 'audience',
+          id: detail.audience,
+          variant: detail.target === 'default' ? 'default' : detail.audience,
+        };
+      default:
+        return null;
+    }
+  }).filter((exposure) => !!exposure);
+}
+
+let conversionTracking;
+// the conversions tracked before the plugin decided what the visitor is exposed to
+const pendingConversions = [];
+/**
+ * Tracks a conversion for the experiments, campaign or audience the visitor was exposed to
+ * on the current page. Conversions tracked before the decisions are made in `loadEager` are
+ * queued until then, so they are tied to the served experience as well.
+ * @param {string} name the conversion name, i.e. `signup`
+ * @param {object} [options] the conversion options
+ * @param {number|string} [options.value] the conversion value, i.e. the order total
+ */
+export function trackConversion(name, { value } = {}) {
+  if (!conversionTracking) {
+    pendingConversions.push([name, { value }]);
+    return;
+  }
+  const { pluginOptions, context } = conversionTracking;
+  const data = { source: name };
+  if (value !== undefined && value !== null) {
+    data.target = value;
+  }
+  trackCheckpoint('convert', data, pluginOptions, context);
+  dispatchLifecycleEvent(EVENTS.CONVERSION, { name, value, exposures: getExposures() });
+}
+
+/**
+ * Parses a list of declarative conversion goals, i.e.
+ * `signup: submit #signup; click a.buy, button.buy; visit /thank-you; scroll 75%`.
+ * Goals are separated by semicolons, which cannot appear in a CSS selector. For backward
+ * compatibility, a comma also separates goals when it is followed by another goal definition,
+ * so selector lists are kept whole.
+ * Goals without an explicit name use their type as conversion name.
+ * @param {string} value the list of goals
+ * @returns {object[]} the goals, as `{ name, type, target }` objects
+ */
+function parseGoals(value) {
+  return String(value || '').split(/;|,(?=\s*(?:[^:\s,;]+:\s*)?(?:click|submit|visit|scroll)\s)/i)
+    .map((goal) => goal.trim())
+    .filter((goal) => !!goal)
+    .map((goal) => {
+      const [, name, type, target] = goal.match(/^(?:([^:\s]+):\s*)?(click|submit|visit|scroll)\s+(.+)$/i) || [];
+      if (!type) {
+        // eslint-disable-next-line no-console
+        console.warn(`Invalid conversion goal "${goal}".`);
+        return null;
+      }
+      return { name: name || type.toLowerCase(), type: type.toLowerCase(), target: target.trim() };
+    })
+    .filter((goal) => !!goal);
+}
+
+/**
+ * Checks if the element, or one of its ancestors, matches the selector.
+ * @param {Element} el the element
+ * @param {string} selector the CSS selector
+ * @returns {boolean} `true` if it matches, `false` otherwise
+ */
+function isWithin(el, selector) {
+  try {
+    return !!el?.closest?.(selector);
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Attaches the listeners for a declarative conversion goal.
+ * Each goal converts at most once per page view.
+ * @param {Document} document the page document
+ * @param {object} goal the goal
+ */
+function attachGoal(document, goal) {
+  let isConverted = false;
+  const convert = () => {
+    if (!isConverted) {
+      isConverted = true;
+      trackConversion(goal.name);
+    }
+  };
+  switch (goal.type) {
+    case 'click':
+      document.addEventListener('click', (ev) => {
+        if (isWithin(ev.target, goal.target)) convert();
+      }, { capture: true });
+      break;
+    case 'submit':
+      document.addEventListener('submit', (ev) => {
+        if (isWithin(ev.target, goal.target)) convert();
+      }, { capture: true });
+      break;
+    case 'visit': {
+      const path = new URL(goal.target, window.location.href).pathname;
+      if (window.location.pathname === path) {
+        convert();
+        break;
+      }
+      const isGoal = (url) => !!url && new URL(url, window.location.href).pathname === path;
+      document.addEventListener('click', (ev) => {
+        const link = ev.target?.closest?.('a[href]');
+        if (link && isGoal(link.href)) convert();
+      }, { capture: true });
+      document.addEventListener('submit', (ev) => {
+        if (isGoal(ev.target.getAttribute('action'))) convert();
+      }, { capture: true });
+      break;
+    }
+    case 'scroll': {
+      const threshold = parseFloat(goal.target) / 100;
+      const onScroll = () => {
+        const { scrollHeight } = document.documentElement;
+        if ((window.scrollY + window.innerHeight) / scrollHeight >= threshold) {
+          window.removeEventListener('scroll', onScroll);
+          convert();
+        }
+      };
+      window.addEventListener('scroll', onScroll, { passive: true });
+      // pages that are too short to scroll, or already scrolled down, never trigger a scroll
+      // event, so the position is also checked once the page is laid out
+      if (document.readyState === 'complete') {
+        onScroll();
+      } else {
+        window.addEventListener('load', onScroll, { once: true });
+      }
+      break;
+    }
+    default:
+  }
+}
+
+/**
+ * Enables the conversion tracking, flushes the queued conversions, and attaches the declarative
+ * goals defined in the `conversion-goals` metadata and in the `Goals` setting of the experiment
+ * manifests.
+ * @param {Document} document the page document
+ * @param {object} options the plugin options
+ * @param {object} context the plugin execution context
+ */
+function initConversionTracking(document, options, context) {
+  const pluginOptions = { ...DEFAULT_OPTIONS, ...(options || {}) };
+  conversionTracking = { pluginOptions, context };
+  pendingConversions.splice(0).forEach(([name, opts]) => trackConversion(name, opts));
+  const goals = [
+    ...parseGoals(context.getMetadata('conversion-goals')),
+    ...(window.hlx?.experiments || []).flatMap((config) => parseGoals(config.goals)),
+  ];
+  goals
+    .filter((goal, i) => goals.findIndex((g) => g.name === goal.name
+      && g.type === goal.type && g.target === goal.target) === i)
+    .forEach((goal) => attachGoal(document, goal));
+}
+
 export async function loadEager(document, options, context) {
   onPageActivation(() => {
     adjustRumSampligRate(document, options, context);
   });
-  let res = await runCampaign(document, options, context);
-  if (!res) {
-    res = await runExperiment(document, options, context);
-  }
-  if (!res) {
-    res = await serveAudience(document, options, context);
+  const holdout = await resolveHoldout(options, context);
+  if (holdout && holdout.isHoldout) {
+    // eslint-disable-next-line no-console
+    console.debug(`visitor is part of the ${holdout.id} group. Serving default content.`);
+  } else {
+    let res = await runCampaign(document, options, context);
+    if (!res) {
+      res = await runExperiment(document, options, context);
+    }
+    if (!res) {
+      res = await serveAudience(document, options, context);
+    }
   }
+  initConversionTracking(document, options, context);
 }
 
 export async function loadLazy(document, options, context) {
@@ -746,7 +2395,13 @@ export async function loadLazy(document, options, context) {
         || options.prodHost === window.location.origin))) {
     return;
   }
+  // the overlay lists the audiences from the sheet as well
+  pluginOptions.audiences = await getAudiences(pluginOptions, context);
   // eslint-disable-next-line import/no-cycle
   const preview = await import('./preview.js');
-  preview.default(document, pluginOptions, { ...context, getResolvedAudiences });
+  preview.default(document, pluginOptions, {
+    ...context,
+    getResolvedAudiences,
+    getAudiences: (value) => splitAudiences(value).map((a) => normalizeAudience(a, context)),
+  });
 }
@@ -10,7 +10,40 @@
  * governing permissions and limitations under the License.
  */
 
+import {
+  analyzeExperiment,
+  chiSquareTest,
+  getSampleSize,
+  summarize,
+  welchTTest,
+} from './stats.js';
+
 const DOMAIN_KEY_NAME = 'aem-domainkey';
+const RUM_BUNDLES_BATCH_DAYS = 14; // number of daily RUM bundles fetched in parallel
+const SRM_THRESHOLD = 0.001;
+const DAY_IN_MS = 86400000;
+const RUM_QUERY_DAYS = 30; // default time window of the RUM experiments query
+const MAX_FEASIBLE_DAYS = 56;
+// the filters that can be applied to the experiment results, and their default values
+const RESULTS_FILTERS = {
+  startDate: '',
+  endDate: '',
+  device: '',
+  audience: '',
+  source: '',
+};
+const pendingResults = new WeakMap();
+const rumBundleRequests = new Map();
+const rumBundleResults = new Map();
+// the built-in metrics that are not conversions, computed from the RUM checkpoints
+const RUM_METRICS = {
+  bounce: { label: 'bounce rate', checkpoint: 'click', isMissing: true },
+  error: { label: 'error rate', checkpoint: 'error' },
+  errors: { label: 'error rate', checkpoint: 'error' },
+  lcp: { label: 'LCP', checkpoint: 'cwv-lcp', isValue: true },
+  cls: { label: 'CLS', checkpoint: 'cwv-cls', isValue: true },
+  inp: { label: 'INP', checkpoint: 'cwv-inp', isValue: true },
+};
 
 class AemExperimentationBar extends HTMLElement {
   connectedCallback() {
@@ -78,11 +111,15 @@ function createPopupItem(item) {
   if (item.description) {
     const description = document.createElement('div');
     description.className = 'hlx-popup-item-description';
-    description.textContent = item.description;
+    if (typeof item.description === 'string') {
+      description.textContent = item.description;
+    } else {
+      description.appendChild(item.description);
+    }
     div.appendChild(description);
   }
 
- // Create performance placeholder for experiment variants
+  // Create performance placeholder for experiment variants
   const performance = document.createElement('p');
   performance.className = 'performance';
   div.appendChild(performance);
@@ -90,11 +127,11 @@ function createPopupItem(item) {
   if (typeof item === 'object' && item.actions && item.actions.length) {
     const actionsDiv = document.createElement('div');
     actionsDiv.className = 'hlx-popup-item-actions';
-    
+
     item.actions.forEach((action) => {
       const buttonDiv = document.createElement('div');
       buttonDiv.className = 'hlx-button';
-      
+
       const link = document.createElement('a');
       link.href = action.href || '#';
       if (action.label instanceof HTMLElement) {
@@ -126,10 +163,10 @@ function createPopupItem(item) {
 function createPopupDialog(header, items = []) {
   const popup = document.createElement('div');
   popup.className = 'hlx-popup hlx-hidden';
-  
+
   const headerDiv = document.createElement('div');
   headerDiv.className = 'hlx-popup-header';
-  
+
   const headerLabel = document.createElement('h5');
   headerLabel.className = 'hlx-popup-header-label';
   if (typeof header === 'object' && header.label instanceof HTMLElement) {
@@ -138,7 +175,7 @@ function createPopupDialog(header, items = []) {
     headerLabel.textContent = typeof header === 'object' ? header.label : header;
   }
   headerDiv.appendChild(headerLabel);
-  
+
   if (header.description) {
     const headerDescription = document.createElement('div');
     headerDescription.className = 'hlx-popup-header-description';
@@ -149,15 +186,15 @@ function createPopupDialog(header, items = []) {
     }
     headerDiv.appendChild(headerDescription);
   }
-  
+
   if (typeof header === 'object' && header.actions && header.actions.length) {
     const headerActions = document.createElement('div');
     headerActions.className = 'hlx-popup-header-actions';
-    
+
     header.actions.forEach((action) => {
       const buttonDiv = document.createElement('div');
       buttonDiv.className = 'hlx-button';
-      
+
       const link = document.createElement('a');
       link.href = action.href || '#';
       if (action.label instanceof HTMLElement) {
@@ -173,16 +210,16 @@ function createPopupDialog(header, items = []) {
       buttonDiv.appendChild(link);
       headerActions.appendChild(buttonDiv);
     });
-    
+
     headerDiv.appendChild(headerActions);
   }
-  
+
   popup.appendChild(headerDiv);
-  
+
   const itemsDiv = document.createElement('div');
   itemsDiv.className = 'hlx-popup-items';
   popup.appendChild(itemsDiv);
-  
+
   const list = popup.querySelector('.hlx-popup-items');
   items.forEach((item) => {
     list.append(createPopupItem(item));
@@ -231,6 +268,8 @@ function createToggleButton(label) {
 
 const percentformat = new Intl.NumberFormat('en-US', { style: 'percent', maximumSignificantDigits: 3 });
 const countformat = new Intl.NumberFormat('en-US', { maximumSignificantDigits: 2 });
+const valueformat = new Intl.NumberFormat('en-US', { maximumFractionDigits: 2 });
+const liftformat = new Intl.NumberFormat('en-US', { style: 'percent', maximumSignificantDigits: 3, signDisplay: 'exceptZero' });
 const significanceformat = {
   format: (value) => {
     if (value < 0.005) {
@@ -257,19 +296,53 @@ const bigcountformat = {
   },
 };
 
-function createVariant(experiment, variantName, config, options) {
+/**
+ * Creates the significance label for a p-value.
+ * @param {number} pValue the (adjusted) p-value
+ * @param {string} title the tooltip
+ * @returns {HTMLElement} the label
+ */
+function createSignificanceSpan(pValue, title) {
+  const significanceSpan = document.createElement('span');
+  significanceSpan.title = title;
+  const significanceText = significanceformat.format(pValue);
+  significanceSpan.className = `significance ${significanceText.replace(/ /, '-')}`;
+  significanceSpan.textContent = significanceText;
+  return significanceSpan;
+}
+
+function createVariant(experiment, variantName, config, options, context) {
   const selectedVariant = config?.selectedVariant || config?.variantNames[0];
   const variant = config.variants[variantName];
-  const split = variant.percentageSplit;
+  const { splitAudience } = config;
+  const split = splitAudience
+    ? variant.audienceSplits[splitAudience]
+    : variant.percentageSplit;
   const percentage = percentformat.format(split);
 
   const experimentURL = new URL(window.location.href);
-  // this will retain other query params such as ?rum=on
-  experimentURL.searchParams.set(options.experimentsQueryParameter, `${experiment}/${variantName}`);
+  // this will retain other query params such as ?rum=on, as well as the variants
+  // forced for the other experiments on the page
+  const forcedExperiments = (experimentURL.searchParams.get(options.experimentsQueryParameter) || '')
+    .split(',')
+    .filter((value) => value && context.toClassName(value.split('/')[0]) !== experiment);
+  forcedExperiments.push(`${experiment}/${variantName}`);
+  experimentURL.searchParams.set(options.experimentsQueryParameter, forcedExperiments.join(','));
+
+  const description = document.createElement('div');
+  const label = document.createElement('p');
+  label.textContent = variant.label;
+  description.appendChild(label);
+  const percentageElement = document.createElement('p');
+  percentageElement.className = 'percentage';
+  percentageElement.textContent = variant.banditSplit
+    ? `(${percentformat.format(variant.banditSplit)} bandit split)`
+    : `(${percentage} split${splitAudience ? ` for ${splitAudience}` : ''})`;
+  description.appendChild(percentageElement);
 
   return {
     label: variantName,
-    description: `${variant.label} (${percentage} split)`,
+    description,
     actions: [{ label: 'Simulate', href: experimentURL.href }],
     isSelected: selectedVariant === variantName,
   };
@@ -298,6 +371,12 @@ async function fetchRumData(experiment, options) {
   resultsURL.searchParams.set('domainkey', options.domainKey);
   resultsURL.searchParams.set('experiment', experiment);
   resultsURL.searchParams.set('conversioncheckpoint', options.conversionName);
+  if (options.filters?.startDate) {
+    resultsURL.searchParams.set('startdate', options.filters.startDate);
+  }
+  if (options.filters?.endDate) {
+    resultsURL.searchParams.set('enddate', options.filters.endDate);
+  }
 
   const response = await fetch(resultsURL.href);
   if (!response.ok) {
@@ -316,157 +395,876 @@ async function fetchRumData(experiment, options) {
     return o;
   }, {});
 
+  // the statistics are computed on the raw events, the weight lets us estimate the actual traffic
+  const toVariant = (row, prefix) => {
+    const visits = row[`${prefix}_experimentation_events`] || 0;
+    return {
+      visits,
+      conversions: row[`${prefix}_conversion_events`] || 0,
+      weight: visits ? (row[`${prefix}_experimentations`] || 0) / visits : 0,
+    };
+  };
   const variantsAsNums = data.map(numberify);
-  const totals = Object.entries(
-    variantsAsNums.reduce((o, v) => {
-      Object.entries(v).forEach(([k, val]) => {
-        if (typeof val === 'number' && Number.isInteger(val) && k.startsWith('variant_')) {
-          o[k] = (o[k] || 0) + val;
-        } else if (typeof val === 'number' && Number.isInteger(val) && k.startsWith('control_')) {
-          o[k] = val;
+  return variantsAsNums.reduce((variants, row) => {
+    variants[row.variant] = toVariant(row, 'variant');
+    return variants;
+  }, { control: toVariant(variantsAsNums[0], 'control') });
+}
+
+/**
+ * Gets the definition of a metric. Built-in RUM metrics are better when lower,
+ * while any other metric is considered a conversion.
+ * @param {string} name the metric name, i.e. `signup` or `bounce`
+ * @returns {object} the metric definition
+ */
+function getMetric(name) {
+  const metric = RUM_METRICS[name.toLowerCase()];
+  return metric
+    ? { name, lowerIsBetter: true, ...metric }
+    : { name, label: `${name} conversion rate`, lowerIsBetter: false };
+}
+
+/**
+ * Checks whether a RUM bundle matches the segments selected in the results filters.
+ * @param {object} bundle the RUM bundle
+ * @param {object} filters the results filters
+ * @returns {boolean} `true` if the bundle matches all the selected segments
+ */
+function matchesSegments({ userAgent = '', events }, filters) {
+  if (filters.device && !userAgent.startsWith(filters.device)) {
+    return false;
+  }
+  if (filters.audience && !events.some((e) => e.checkpoint === 'audiences'
+    && (e.target || '').split(',').includes(filters.audience))) {
+    return false;
+  }
+  if (filters.source && !events.some((e) => e.checkpoint === 'utm'
+    && e.source === 'utm_source' && e.target === filters.source)) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Computes for each variant the visits and conversions matching the results filters in the
+ * RUM bundles of the given days, as well as the total value of the conversions in each visit
+ * (`0` if the visit did not convert). For the built-in RUM metrics, the conversions are the
+ * visits matching the metric, i.e. the bounces, and the values the measurements, i.e. the LCP.
+ * @param {string} experiment the experiment id
+ * @param {string} host the production host
+ * @param {string[]} days the days to fetch the bundles for, as `YYYY/MM/DD`
+ * @param {object} options the plugin options, including the `domainKey`, `conversionName`
+ * and `filters`
+ * @returns {Promise<object>} the results per variant
+ */
+async function computeRumBundleResults(experiment, host, days, options) {
+  const filters = options.filters || {};
+  // the same bundles are used for all the metrics, so they are only fetched once
+  const fetchDay = (day) => {
+    const url = `https://rum.fastly-aem.page/bundles/${host}/${day}?domainkey=${options.domainKey}`;
+    if (!rumBundleRequests.has(url)) {
+      rumBundleRequests.set(url, fetch(url)
+        .then((resp) => (resp.ok ? resp.json() : null))
+        .catch(() => null));
+    }
+    return rumBundleRequests.get(url);
+  };
+  // long ranges are fetched in batches, so the whole range is covered without flooding
+  // the network
+  const responses = [];
+  for (let i = 0; i < days.length; i += RUM_BUNDLES_BATCH_DAYS) {
+    // eslint-disable-next-line no-await-in-loop
+    responses.push(...await Promise.all(days.slice(i, i + RUM_BUNDLES_BATCH_DAYS).map(fetchDay)));
+  }
+
+  const metric = getMetric(options.conversionName);
+  const variants = {};
+  let hasValues = false;
+  responses
+    .flatMap((json) => (json && json.rumBundles) || [])
+    .filter((bundle) => matchesSegments(bundle, filters))
+    .forEach(({ events, weight }) => {
+      const exposure = events.find((e) => e.checkpoint === 'experiment' && e.source === experiment);
+      if (!exposure) {
+        return;
+      }
+      const conversions = events.filter((e) => (metric.checkpoint
+        ? e.checkpoint === metric.checkpoint
+        : e.checkpoint === metric.name || (e.checkpoint === 'convert' && e.source === metric.name)));
+      let value;
+      if (metric.isValue) {
+        // only the visits where the metric was measured are taken into account
+        value = conversions.map((e) => Number.parseFloat(e.value)).filter(Number.isFinite).pop();
+        if (value === undefined) {
+          return;
         }
-      });
-      return o;
-    }, {}),
-  ).reduce((o, [k, v]) => {
-    o[k] = v;
-    const vkey = k.replace(/^(variant|control)_/, 'variant_');
-    const ckey = k.replace(/^(variant|control)_/, 'control_');
-    const tkey = k.replace(/^(variant|control)_/, 'total_');
-    if (!Number.isNaN(o[ckey]) && !Number.isNaN(o[vkey])) {
-      o[tkey] = o[ckey] + o[vkey];
+        hasValues = true;
+      } else {
+        value = conversions.reduce((total, e) => total + (Number.parseFloat(e.target) || 0), 0);
+        hasValues = hasValues || value !== 0;
+      }
+      const variant = variants[exposure.target] || {
+        visits: 0, conversions: 0, weight: 0, values: [],
+      };
+      variant.visits += 1;
+      variant.conversions += (conversions.length > 0) !== !!metric.isMissing ? 1 : 0;
+      // the weight is averaged over the visits, since each bundle has its own sampling rate
+      variant.weight += ((Number(weight) || 1) - variant.weight) / variant.visits;
+      variant.values.push(value);
+      variants[exposure.target] = variant;
+    });
+  if (!hasValues) {
+    Object.values(variants).forEach((variant) => delete variant.values);
+  }
+  return variants;
+}
+
+/**
+ * Fetches the raw RUM bundles for the experiment, and computes for each variant the visits
+ * and conversions matching the results filters. The results are cached per metric, range
+ * and segments.
+ * @param {string} experiment the experiment id
+ * @param {object} config the experiment config
+ * @param {object} options the plugin options, including the `domainKey`, `conversionName`
+ * and `filters`
+ * @returns {Promise<object>} the results per variant, or `null` if there is no data
+ */
+async function fetchRumBundleResults(experiment, config, options) {
+  if (!options.domainKey) {
+    return null;
+  }
+  const host = typeof options.isProd === 'function' && options.isProd()
+    ? window.location.host
+    : options.prodHost;
+  if (!host) {
+    return null;
+  }
+
+  // the bundles are stored per day, so fetch each day of the selected range, or of the
+  // same default time window as the aggregated RUM data if the range has no start
+  const filters = options.filters || {};
+  const toTimes = (dates) => dates
+    .map((date) => new Date(date).getTime())
+    .filter((time) => !Number.isNaN(time));
+  const end = new Date(Math.min(...toTimes([filters.endDate, config.endDate, Date.now()])));
+  const starts = toTimes([filters.startDate, config.startDate]);
+  const start = new Date(starts.length
+    ? Math.max(...starts)
+    : end.getTime() - (RUM_QUERY_DAYS - 1) * DAY_IN_MS);
+  const days = [];
+  for (let day = new Date(end); day >= start; day.setUTCDate(day.getUTCDate() - 1)) {
+    days.push(day.toISOString().substring(0, 10).replace(/-/g, '/'));
+  }
+
+  // the results are computed once per metric, range and segments
+  const key = [
+    experiment, options.conversionName, days[0], days[days.length - 1],
+    filters.device, filters.audience, filters.source,
+  ].join('|');
+  if (!rumBundleResults.has(key)) {
+    rumBundleResults.set(key, computeRumBundleResults(experiment, host, days, options));
+  }
+  return rumBundleResults.get(key);
+}
+
+/**
+ * Normalizes the results returned by a provider, so each variant has numeric
+ * `visits`, `conversions` and `weight`, and optionally the per-visit `values`.
+ * @param {object} results the results per variant name
+ * @returns {object} the normalized results, or `null` if there are no results
+ */
+function normalizeResults(results) {
+  if (!results || typeof results !== 'object' || !Object.keys(results).length) {
+    return null;
+  }
+  return Object.entries(results).reduce((variants, [variantName, variant]) => {
+    const visits = Number.parseFloat(variant?.visits) || 0;
+    variants[variantName] = {
+      visits,
+      conversions: Number.parseFloat(variant?.conversions) || 0,
+      weight: visits ? Number.parseFloat(variant.weight) || 1 : 0,
+    };
+    if (Array.isArray(variant?.values)) {
+      variants[variantName].values = variant.values
+        .map((value) => Number.parseFloat(value) || 0);
     }
-    return o;
+    return variants;
   }, {});
-  const richVariants = variantsAsNums
-    .map((v) => ({
-      ...v,
-      allocation_rate: v.variant_experimentations / totals.total_experimentations,
-    }))
-    .reduce((o, v) => {
-      const variantName = v.variant;
-      o[variantName] = v;
-      return o;
-    }, {
-      control: {
-        variant: 'control',
-        ...Object.entries(variantsAsNums[0]).reduce((k, v) => {
-          const [key, val] = v;
-          if (key.startsWith('control_')) {
-            k[key.replace(/^control_/, 'variant_')] = val;
-          }
-          return k;
-        }, {}),
-      },
-    });
-  const winner = variantsAsNums.reduce((w, v) => {
-    if (v.variant_conversion_rate > w.conversion_rate && v.p_value < 0.05) {
-      w.conversion_rate = v.variant_conversion_rate;
-      w.p_value = v.p_value;
-      w.variant = v.variant;
+}
+
+/**
+ * Fetches the results of the experiment from the configured `resultsProvider`,
+ * or from the RUM data if none is configured.
+ * @param {string} experiment the experiment id
+ * @param {object} config the experiment config
+ * @param {object} options the plugin options, including the `conversionName` and `filters`
+ * @returns {Promise<object>} the normalized results per variant, or `null`
+ */
+async function fetchResults(experiment, config, options) {
+  const { resultsProvider, conversionName, filters = {} } = options;
+  try {
+    if (typeof resultsProvider === 'function') {
+      return normalizeResults(await resultsProvider({
+        experiment, conversionName, config, filters,
+      }));
+    }
+    if (typeof resultsProvider === 'string' && resultsProvider) {
+      const placeholders = {
+        experiment, conversionName, ...RESULTS_FILTERS, ...filters,
+      };
+      const url = resultsProvider.replace(
+        /\{(\w+)\}/g,
+        (match, key) => (key in placeholders ? encodeURIComponent(placeholders[key]) : match),
+      );
+      const response = await fetch(new URL(url, window.location.href).href);
+      return response.ok ? normalizeResults(await response.json()) : null;
     }
-    return w;
-  }, { variant: 'control', p_value: 1, conversion_rate: 0 });
+    // the aggregated RUM data is neither segmented nor has the built-in metrics,
+    // so those are computed from the raw bundles
+    return normalizeResults(filters.device || filters.audience || filters.source
+      || getMetric(conversionName).checkpoint
+      ? await fetchRumBundleResults(experiment, config, options)
+      : await fetchRumData(experiment, options));
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.warn('Cannot show the experiment results.', err);
+    return null;
+  }
+}
 
+/**
+ * Shows the average conversion value per visit for each variant, with its confidence interval,
+ * and the significance of the difference with the control (Welch's t-test).
+ * @param {HTMLElement} div the experiment pill
+ * @param {object} config the experiment config
+ * @param {object} values the values per variant
+ * @param {string} conversionName the conversion name
+ */
+function populateValueMetrics(div, config, values, conversionName = 'click') {
+  const control = values[config.variantNames[0]] || [];
+  config.variantNames.forEach((variantName, index) => {
+    const variantDiv = div.querySelectorAll('.hlx-popup-item')[index];
+    let performance = variantDiv.querySelector('.value-performance');
+    if (!performance) {
+      performance = document.createElement('p');
+      performance.className = 'value-performance';
+      variantDiv.querySelector('.performance').after(performance);
+    }
+    performance.innerHTML = '';
+
+    const samples = values[variantName] || [];
+    const { mean, confidenceInterval: [low, high] } = summarize(samples);
+    const valueSpan = document.createElement('span');
+    valueSpan.title = `95% confidence interval: ${valueformat.format(Math.max(low, 0))} – ${valueformat.format(high)}`;
+    valueSpan.textContent = `${conversionName} value per visit: ${valueformat.format(mean)}`;
+    performance.appendChild(valueSpan);
+
+    const conversions = samples.filter((value) => value !== 0);
+    if (conversions.length) {
+      performance.appendChild(document.createTextNode(' '));
+      const averageSpan = document.createElement('span');
+      averageSpan.textContent = `(avg. ${valueformat.format(summarize(conversions).mean)} per conversion)`;
+      performance.appendChild(averageSpan);
+    }
+
+    if (index > 0) {
+      const { difference, pValue } = welchTTest(control, samples);
+      performance.appendChild(document.createTextNode(' '));
+      const vsSpan = document.createElement('span');
+      vsSpan.textContent = `${difference >= 0 ? '+' : ''}${valueformat.format(difference)} vs. control`;
+      performance.appendChild(vsSpan);
+      performance.appendChild(document.createTextNode(' '));
+
+      performance.appendChild(createSignificanceSpan(pValue, `p value: ${pValue}`));
+    }
+  });
+}
+
+/**
+ * Checks the observed traffic split against the configured one (sample ratio mismatch).
+ * Bandit experiments are not checked since their split changes over time, and neither are
+ * experiments with audience-specific splits.
+ * @param {object} config the experiment config
+ * @param {object[]} variants the per-variant `{ visits }` counts, in the config order
+ * @returns {object} the chi-square test results with the `expected` and `observed` shares,
+ * or `null` if the split cannot be checked
+ */
+function checkSampleRatio(config, variants) {
+  // the expected split is unknown when it depends on the audience
+  if (config.variantNames.some((variantName) => config.variants[variantName].banditSplit
+    || config.variants[variantName].audienceSplits)) {
+    return null;
+  }
+  const splits = config.variantNames
+    .map((variantName) => Number(config.variants[variantName].percentageSplit) || 0);
+  const totalSplit = splits.reduce((total, split) => total + split, 0);
+  const totalVisits = variants.reduce((total, v) => total + v.visits, 0);
+  if (!totalSplit || !totalVisits) {
+    return null;
+  }
+  const expected = splits.map((split) => split / totalSplit);
   return {
-    richVariants,
-    totals,
-    variantsAsNums,
-    winner,
+    ...chiSquareTest(variants.map((v) => v.visits), expected),
+    expected,
+    observed: variants.map((v) => v.visits / totalVisits),
   };
 }
 
-function populatePerformanceMetrics(div, config, {
-  richVariants, totals, variantsAsNums, winner,
-}, conversionName = 'click') {
+/**
+ * Shows the results of the experiment, computed locally from the raw per-variant counts.
+ * @param {HTMLElement} div the experiment pill
+ * @param {object} config the experiment config
+ * @param {object} variants the per-variant `{ visits, conversions, weight }` counts
+ * @param {string} conversionName the conversion name
+ * @param {object} options the plugin options
+ */
+function populatePerformanceMetrics(div, config, variants, conversionName = 'click', options = {}) {
+  const empty = { visits: 0, conversions: 0, weight: 0 };
+  const [, ...challengerNames] = config.variantNames;
+  const control = variants.control || empty;
+  const challengers = challengerNames.map((variantName) => variants[variantName] || empty);
+  const results = analyzeExperiment(control, challengers, {
+    correction: options.experimentsCorrection,
+  });
+  const all = [control, ...challengers];
+  const totalVisits = all.reduce((total, v) => total + v.visits * v.weight, 0);
+  const totalConversions = all.reduce((total, v) => total + v.conversions * v.weight, 0);
+
   const summary = div.querySelector('.hlx-info');
-  summary.textContent = `Showing results for ${bigcountformat.format(totals.total_experimentations)} visits and ${bigcountformat.format(totals.total_conversions)} conversions: `;
-  
-  if (totals.total_conversion_events < 500 && winner.p_value > 0.05) {
-    summary.textContent += ` not yet enough data to determine a winner. Keep going until you get ${bigcountformat.format((500 * totals.total_experimentations) / totals.total_conversion_events)} visits.`;
-  } else if (winner.p_value > 0.05) {
-    summary.appendChild(document.createTextNode(' no significant difference between variants. In doubt, stick with '));
-    const noSignificanceControlElement = document.createElement('code');
-    noSignificanceControlElement.textContent = 'control';
-    summary.appendChild(noSignificanceControlElement);
-    summary.appendChild(document.createTextNode('.'));
-  } else if (winner.variant === 'control') {
+  summary.textContent = `Showing results for ${bigcountformat.format(totalVisits)} visits and ${bigcountformat.format(totalConversions)} conversions: `;
+
+  const srm = checkSampleRatio(config, all);
+  const isMismatch = !!srm && srm.pValue < SRM_THRESHOLD;
+  div.querySelector('.hlx-warning')?.remove();
+  div.classList.toggle('hlx-srm', isMismatch);
+  if (isMismatch) {
+    const warning = document.createElement('div');
+    warning.className = 'hlx-warning';
+    warning.title = `chi-square: ${srm.chiSquare}, p value: ${srm.pValue}`;
+    warning.textContent = `⚠ Sample ratio mismatch: the observed split (${srm.observed.map((share) => percentformat.format(share)).join(' / ')}) does not match the configured one (${srm.expected.map((share) => percentformat.format(share)).join(' / ')}). This usually means broken bucketing, variants failing to load or bot traffic, so the results below cannot be trusted.`;
+    summary.before(warning);
+  }
+
+  const winner = results.reduce((best, result, i) => (
+    result.isSignificant && result.lift > 0
+      && (best < 0 || result.conversionRate > results[best].conversionRate) ? i : best
+  ), -1);
+  const best = results.reduce((b, result, i) => (
+    b < 0 || result.conversionRate > results[b].conversionRate ? i : b
+  ), -1);
+  const controlRate = control.visits ? control.conversions / control.visits : 0;
+  const sampleSize = best < 0 ? Infinity : getSampleSize(controlRate, results[best].lift);
+  const weight = totalVisits / all.reduce((total, v) => total + v.visits, 0) || 1;
+  if (isMismatch) {
+    summary.appendChild(document.createTextNode(' no winner can be determined until the sample ratio mismatch is fixed.'));
+  } else if (winner >= 0) {
+    summary.appendChild(document.createTextNode(' '));
+    const variantWinnerElement = document.createElement('code');
+    variantWinnerElement.textContent = challengerNames[winner];
+    summary.appendChild(variantWinnerElement);
+    summary.appendChild(document.createTextNode(' is the winner.'));
+  } else if (results.some((result) => result.isSignificant)) {
     summary.appendChild(document.createTextNode(' Stick with '));
     const controlWinnerElement = document.createElement('code');
     controlWinnerElement.textContent = 'control';
     summary.appendChild(controlWinnerElement);
     summary.appendChild(document.createTextNode('. No variant is better than the control.'));
+  } else if (Number.isFinite(sampleSize) && all.some((v) => v.visits < sampleSize)) {
+    summary.textContent += ` not yet enough data to determine a winner. Keep going until you get ${bigcountformat.format(sampleSize * all.length * weight)} visits.`;
   } else {
-    summary.appendChild(document.createTextNode(' '));
-    const variantWinnerElement = document.createElement('code');
-    variantWinnerElement.textContent = winner.variant;
-    summary.appendChild(variantWinnerElement);
-    summary.appendChild(document.createTextNode(' is the winner.'));
+    summary.appendChild(document.createTextNode(' no significant difference between variants. In doubt, stick with '));
+    const noSignificanceControlElement = document.createElement('code');
+    noSignificanceControlElement.textContent = 'control';
+    summary.appendChild(noSignificanceControlElement);
+    summary.appendChild(document.createTextNode('.'));
   }
 
   config.variantNames.forEach((variantName, index) => {
-    const variantDiv = document.querySelector('aem-experimentation-bar')?.shadowRoot.querySelectorAll('.hlx-popup-item')[index];
-    const percentage = variantDiv.querySelector('.percentage'); 
+    const variant = all[index];
+    const variantDiv = div.querySelectorAll('.hlx-popup-item')[index];
+    const percentage = variantDiv.querySelector('.percentage');
     percentage.innerHTML = '';
-    
+
     const eventsSpan = document.createElement('span');
-    eventsSpan.title = `${countformat.format(richVariants[variantName].variant_conversion_events)} real events`;
-    eventsSpan.textContent = `${bigcountformat.format(richVariants[variantName].variant_conversions)} ${conversionName} events`;
-    percentage.appendChild(eventsSpan);  
+    eventsSpan.title = `${countformat.format(variant.conversions)} real events`;
+    eventsSpan.textContent = `${bigcountformat.format(variant.conversions * variant.weight)} ${conversionName} events`;
+    percentage.appendChild(eventsSpan);
     percentage.appendChild(document.createTextNode(' / '));
-    
+
     const visitsSpan = document.createElement('span');
-    visitsSpan.title = `${countformat.format(richVariants[variantName].variant_experimentation_events)} real events`;
-    visitsSpan.textContent = `${bigcountformat.format(richVariants[variantName].variant_experimentations)} visits`;
-    percentage.appendChild(visitsSpan); 
+    visitsSpan.title = `${countformat.format(variant.visits)} real events`;
+    visitsSpan.textContent = `${bigcountformat.format(variant.visits * variant.weight)} visits`;
+    percentage.appendChild(visitsSpan);
     percentage.appendChild(document.createTextNode(' '));
-    
+
     const splitSpan = document.createElement('span');
-    splitSpan.textContent = `(${percentformat.format(richVariants[variantName].variant_experimentations / totals.total_experimentations)} split)`;
+    splitSpan.textContent = `(${percentformat.format(totalVisits ? (variant.visits * variant.weight) / totalVisits : 0)} split)`;
     percentage.appendChild(splitSpan);
+
+    const performance = variantDiv.querySelector('.performance');
+    performance.innerHTML = '';
+    const conversionSpan = document.createElement('span');
+    conversionSpan.textContent = `${conversionName} conversion rate: ${percentformat.format(variant.visits ? variant.conversions / variant.visits : 0)}`;
+    performance.appendChild(conversionSpan);
+    if (!index) {
+      return;
+    }
+
+    const result = results[index - 1];
+    performance.appendChild(document.createTextNode(' '));
+    const vsSpan = document.createElement('span');
+    vsSpan.textContent = `vs. ${percentformat.format(controlRate)}`;
+    performance.appendChild(vsSpan);
+    performance.appendChild(document.createTextNode(' '));
+
+    const [low, high] = result.confidenceInterval;
+    const liftSpan = document.createElement('span');
+    liftSpan.title = Number.isFinite(low) && Number.isFinite(high)
+      ? `95% confidence interval: ${liftformat.format(low)} to ${liftformat.format(high)}`
+      : 'not enough conversions to compute a confidence interval';
+    liftSpan.textContent = `(${liftformat.format(result.lift)} lift)`;
+    performance.appendChild(liftSpan);
+    performance.appendChild(document.createTextNode(' '));
+
+    const probabilitySpan = document.createElement('span');
+    probabilitySpan.title = 'Bayesian probability for the variant to have a better conversion rate than the control';
+    probabilitySpan.textContent = `${percentformat.format(result.probabilityToBeatControl)} chance to beat control`;
+    performance.appendChild(probabilitySpan);
+    performance.appendChild(document.createTextNode(' '));
+
+    performance.appendChild(createSignificanceSpan(
+      result.adjustedPValue,
+      `p value: ${result.pValue}${result.adjustedPValue !== result.pValue ? `, adjusted for ${challengers.length} comparisons: ${result.adjustedPValue}` : ''}`,
+    ));
   });
+}
 
-  variantsAsNums.forEach((result) => {
-    const variant = document.querySelector('aem-experimentation-bar')?.shadowRoot.querySelectorAll('.hlx-popup-item')[config.variantNames.indexOf(result.variant)];
-    if (variant) {
-      const performance = variant.querySelector('.performance'); 
-      performance.innerHTML = '';
-      
-      const conversionSpan = document.createElement('span');
-      conversionSpan.textContent = `${conversionName} conversion rate: ${percentformat.format(result.variant_conversion_rate)}`;
-      performance.appendChild(conversionSpan);
-      performance.appendChild(document.createTextNode(' '));
-      
+/**
+ * Prevents the interactions with a form in the popup from toggling it,
+ * since the whole pill is a button.
+ * @param {HTMLElement} element the element containing the form
+ */
+function isolateFromPill(element) {
+  ['click', 'keydown', 'keyup'].forEach((type) => {
+    element.addEventListener(type, (ev) => ev.stopPropagation());
+  });
+}
+
+/**
+ * Estimates the daily number of visitors entering the experiment from the RUM data.
+ * @param {object} config the experiment config
+ * @param {object[]} variants the per-variant `{ visits, weight }` counts
+ * @returns {number} the daily visitors, or `0` if there is no data yet
+ */
+function estimateDailyVisits(config, variants) {
+  const total = variants.reduce((sum, v) => sum + v.visits * v.weight, 0);
+  const start = new Date(config.startDate).getTime();
+  const days = Number.isNaN(start)
+    ? RUM_QUERY_DAYS
+    : Math.min(Math.max((Date.now() - start) / DAY_IN_MS, 1), RUM_QUERY_DAYS);
+  return total / days;
+}
+
+/**
+ * Adds a planner to the experiment pill, that computes the required number of visitors
+ * per variant and the estimated end date of the test for a given minimum detectable effect.
+ * The baseline conversion rate and the daily traffic are prefilled from the RUM data, if any.
+ * @param {HTMLElement} div the experiment pill
+ * @param {object} config the experiment config
+ * @param {object} options the plugin options
+ * @param {object} [variants] the per-variant `{ visits, conversions, weight }` counts
+ */
+function decoratePlanner(div, config, options, variants) {
+  const previous = div.querySelector('.hlx-planner');
+  const empty = { visits: 0, conversions: 0, weight: 0 };
+  const all = config.variantNames
+    .map((variantName, index) => (variants && variants[index ? variantName : 'control']) || empty);
+  const [control] = all;
+  const sampled = all.reduce((sum, v) => sum + v.visits, 0);
+  // the results are computed on the sampled RUM data, so visitors are scaled by the sampling rate
+  const weight = sampled
+    ? all.reduce((sum, v) => sum + v.visits * v.weight, 0) / sampled
+    : Number(options.rumSamplingRate) || 1;
+  const splits = config.variantNames
+    .map((variantName) => Number(config.variants[variantName].percentageSplit) || 0);
+  const totalSplit = splits.reduce((sum, split) => sum + split, 0) || 1;
+
+  const planner = document.createElement('details');
+  planner.className = 'hlx-planner';
+  planner.open = !!previous?.open;
+  const summary = document.createElement('summary');
+  summary.textContent = 'Plan the test';
+  planner.appendChild(summary);
+
+  const form = document.createElement('form');
+  [
+    { name: 'baseline', label: 'Baseline conversion rate (%)', value: control.visits ? ((control.conversions / control.visits) * 100).toFixed(2) : 5 },
+    { name: 'mde', label: 'Minimum detectable effect (%)', value: 10 },
+    { name: 'alpha', label: 'Significance level (%)', value: 5 },
+    { name: 'power', label: 'Statistical power (%)', value: 80 },
+    { name: 'traffic', label: 'Daily visitors', value: Math.round(estimateDailyVisits(config, all)) || '' },
+  ].forEach(({ name, label, value }) => {
+    const labelElement = document.createElement('label');
+    labelElement.textContent = label;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.name = name;
+    input.min = 0;
+    input.step = 'any';
+    input.value = value;
+    labelElement.appendChild(input);
+    form.appendChild(labelElement);
+  });
+  planner.appendChild(form);
+  const results = document.createElement('p');
+  results.className = 'hlx-planner-results';
+  planner.appendChild(results);
+
+  const update = () => {
+    const value = (name) => Number.parseFloat(form.elements[name].value);
+    const comparisons = Math.max(config.variantNames.length - 1, 1);
+    // keep the planning consistent with the multiple comparisons correction of the results
+    const alpha = options.experimentsCorrection === 'none'
+      ? value('alpha') / 100
+      : value('alpha') / 100 / comparisons;
+    const sampleSize = getSampleSize(value('baseline') / 100, value('mde') / 100, {
+      alpha,
+      power: value('power') / 100,
+    });
+    if (!Number.isFinite(sampleSize) || Number.isNaN(sampleSize)) {
+      results.textContent = 'The effect cannot be detected with these parameters.';
+      return;
+    }
+    const perVariant = sampleSize * weight;
+    results.textContent = `You need ${bigcountformat.format(perVariant)} visitors per variant (${bigcountformat.format(perVariant * all.length)} in total).`;
+    const traffic = value('traffic');
+    if (!traffic) {
+      results.textContent += ' Enter the daily visitors to estimate the end date.';
+      return;
+    }
+    const days = Math.ceil(Math.max(...all.map((v, i) => {
+      if (!splits[i]) {
+        return 0;
+      }
+      const remaining = Math.max(perVariant - v.visits * v.weight, 0);
+      return remaining / ((traffic * splits[i]) / totalSplit);
+    })));
+    const endDate = new Date(Date.now() + days * DAY_IN_MS);
+    results.textContent += days
+      ? ` Estimated end date: ${endDate.toLocaleDateString()} (${days} more days).`
+      : ' The test already has enough visitors.';
+    if (days > MAX_FEASIBLE_DAYS) {
+      results.textContent += ' This is likely too long to be feasible: consider testing a bigger change, or on a page with more traffic.';
+    }
+  };
+  form.addEventListener('input', update);
+  form.addEventListener('submit', (ev) => ev.preventDefault());
+  isolateFromPill(planner);
+  update();
+
+  if (previous) {
+    previous.replaceWith(planner);
+  } else {
+    div.querySelector('.hlx-info').after(planner);
+  }
+}
+
+/**
+ * Shows a metric for each variant, and its difference with the control. For value metrics,
+ * i.e. the LCP, the significance is based on a Welch's t-test, and for rate metrics on a
+ * two-proportion z-test.
+ * @param {HTMLElement} div the experiment pill
+ * @param {object} config the experiment config
+ * @param {object} metric the metric definition
+ * @param {object} variants the normalized results per variant for the metric
+ * @param {object} options the plugin options
+ * @returns {string[]} the challengers for which the metric significantly degraded
+ */
+function populateMetricPerformance(div, config, metric, variants, options) {
+  const empty = { visits: 0, conversions: 0, weight: 0 };
+  const [, ...challengerNames] = config.variantNames;
+  const all = [variants.control || empty, ...challengerNames.map((vn) => variants[vn] || empty)];
+  let results;
+  if (metric.isValue) {
+    results = all.slice(1).map((variant) => {
+      const { difference, pValue } = welchTTest(all[0].values || [], variant.values || []);
+      return { difference, pValue, adjustedPValue: pValue };
+    });
+  } else {
+    results = analyzeExperiment(all[0], all.slice(1), { correction: options.experimentsCorrection })
+      .map((result) => ({ ...result, difference: result.lift }));
+  }
+  const format = (variant) => (metric.isValue
+    ? valueformat.format(summarize(variant.values || []).mean)
+    : percentformat.format(variant.visits ? variant.conversions / variant.visits : 0));
+
+  const degraded = [];
+  config.variantNames.forEach((variantName, index) => {
+    const variantDiv = div.querySelectorAll('.hlx-popup-item')[index];
+    const line = document.createElement('p');
+    line.className = 'metric-performance';
+    line.dataset.metric = metric.name;
+    const valueSpan = document.createElement('span');
+    valueSpan.textContent = `${metric.isGuardrail ? 'guardrail ' : ''}${metric.label}: ${format(all[index])}`;
+    line.appendChild(valueSpan);
+
+    if (index) {
+      const result = results[index - 1];
+      line.appendChild(document.createTextNode(' '));
       const vsSpan = document.createElement('span');
-      vsSpan.textContent = `vs. ${percentformat.format(result.control_conversion_rate)}`;
-      performance.appendChild(vsSpan);  
-      performance.appendChild(document.createTextNode(' '));
-      
-      const significanceSpan = document.createElement('span');
-      significanceSpan.title = `p value: ${result.p_value}`;
-      const significanceText = significanceformat.format(result.p_value);
-      significanceSpan.className = `significance ${significanceText.replace(/ /, '-')}`;
-      significanceSpan.textContent = significanceText;
-      performance.appendChild(significanceSpan);
+      vsSpan.textContent = metric.isValue
+        ? `${result.difference >= 0 ? '+' : ''}${valueformat.format(result.difference)} vs. control`
+        : `vs. ${format(all[0])} (${liftformat.format(result.difference)})`;
+      line.appendChild(vsSpan);
+      line.appendChild(document.createTextNode(' '));
+      line.appendChild(createSignificanceSpan(result.adjustedPValue, `p value: ${result.pValue}`));
+
+      const isWorse = metric.lowerIsBetter ? result.difference > 0 : result.difference < 0;
+      if (metric.isGuardrail && isWorse && result.adjustedPValue < 0.05) {
+        line.classList.add('is-degraded');
+        degraded.push(variantName);
+      }
+    }
+
+    const actions = variantDiv.querySelector('.hlx-popup-item-actions');
+    if (actions) {
+      actions.before(line);
+    } else {
+      variantDiv.appendChild(line);
     }
   });
+  return degraded;
 }
 
 /**
- * Create Badge if a Page is enlisted in a AEM Experiment
- * @return {Object} returns a badge or empty string
+ * Fetches the secondary and guardrail metrics of the experiment and shows them in the
+ * experiment pill. Significantly degraded guardrails are flagged, even if the primary
+ * metric wins.
+ * @param {HTMLElement} pill the experiment pill
+ * @param {string} experiment the experiment id
+ * @param {object} config the experiment config
+ * @param {object} options the plugin options, including the `domainKey` and `filters`
+ * @param {object} request the pending results request
  */
-async function decorateExperimentPill(overlay, options, context) {
-  const config = window?.hlx?.experiment;
-  const experiment = context.toClassName(context.getMetadata(options.experimentsMetaTag));
-  if (!experiment || !config) {
+async function showMetricsPerformance(pill, experiment, config, options, request) {
+  const metrics = [
+    ...(config.secondaryMetrics || []).map((name) => getMetric(name)),
+    ...(config.guardrailMetrics || []).map((name) => ({ ...getMetric(name), isGuardrail: true })),
+  ];
+  const results = await Promise.all(metrics.map((metric) => fetchResults(experiment, config, {
+    ...options,
+    conversionName: metric.name,
+  })));
+  if (pendingResults.get(pill) !== request) {
     return;
   }
+  pill.querySelectorAll('.metric-performance').forEach((el) => el.remove());
+  pill.querySelector('.hlx-guardrail')?.remove();
+  const degraded = metrics.flatMap((metric, i) => (results[i]
+    ? populateMetricPerformance(pill, config, metric, results[i], options)
+      .map((variantName) => `${metric.label} for ${variantName}`)
+    : []));
+  pill.classList.toggle('hlx-guardrail-failed', degraded.length > 0);
+  if (degraded.length) {
+    const warning = document.createElement('div');
+    warning.className = 'hlx-guardrail';
+    warning.textContent = `⚠ Guardrail degraded: ${degraded.join(', ')}. Check the impact before rolling out the variant, even if it wins.`;
+    pill.querySelector('.hlx-info').before(warning);
+  }
+}
+
+/**
+ * Extracts the per-visit values from the results, if any.
+ * @param {object} results the results per variant
+ * @returns {object} the values per variant, or `null`
+ */
+function getResultsValues(results) {
+  const entries = Object.entries(results || {}).filter(([, v]) => v.values);
+  return entries.length
+    ? Object.fromEntries(entries.map(([variantName, v]) => [variantName, v.values]))
+    : null;
+}
+
+/**
+ * Fetches the experiment results and shows them in the experiment pill.
+ * @param {HTMLElement} pill the experiment pill
+ * @param {string} experiment the experiment id
+ * @param {object} config the experiment config
+ * @param {object} options the plugin options, including the `domainKey`, `conversionName`
+ * and `filters`
+ */
+async function showExperimentResults(pill, experiment, config, options) {
+  const { conversionName, filters = {} } = options;
+  const isFiltered = Object.values(filters).some((value) => value);
+  // the filters can change while the results are loading, so only the latest request is shown
+  const request = {};
+  pendingResults.set(pill, request);
+  const performanceMetrics = await fetchResults(experiment, config, options);
+  if (pendingResults.get(pill) !== request) {
+    return;
+  }
+  if (performanceMetrics === null) {
+    if (isFiltered) {
+      pill.querySelector('.hlx-info').textContent = 'No results match the selected filters.';
+      pill.querySelector('.hlx-warning')?.remove();
+      pill.classList.remove('hlx-srm');
+      pill.querySelectorAll('.percentage, .performance').forEach((el) => { el.innerHTML = ''; });
+      pill.querySelectorAll('.value-performance, .metric-performance, .hlx-guardrail').forEach((el) => el.remove());
+      pill.classList.remove('hlx-guardrail-failed');
+    }
+    return;
+  }
+  populatePerformanceMetrics(pill, config, performanceMetrics, conversionName, options);
+  const metrics = showMetricsPerformance(pill, experiment, config, options, request);
+  // the planner needs the traffic of the whole experiment
+  if (!isFiltered) {
+    decoratePlanner(pill, config, options, performanceMetrics);
+  }
+
+  // the aggregated RUM data does not have the values, since those are only in the raw bundles,
+  // so those are only fetched for the conversions declared to carry a value
+  const values = getResultsValues(performanceMetrics)
+    || (!options.resultsProvider && (config.valueMetrics || []).includes(conversionName)
+      && getResultsValues(await fetchRumBundleResults(experiment, config, options)));
+  if (pendingResults.get(pill) !== request) {
+    return;
+  }
+  pill.querySelectorAll('.value-performance').forEach((el) => el.remove());
+  if (values) {
+    populateValueMetrics(pill, config, values, conversionName);
+  }
+  await metrics;
+}
+
+/**
+ * Adds the filters for the experiment results to the experiment pill.
+ * @param {HTMLElement} pill the experiment pill
+ * @param {object} options the plugin options
+ * @param {function} onChange the callback receiving the selected filters
+ */
+function decorateFilters(pill, options, onChange) {
+  const filters = document.createElement('details');
+  filters.className = 'hlx-filters';
+  const summary = document.createElement('summary');
+  summary.textContent = 'Filter the results';
+  filters.appendChild(summary);
+
+  const form = document.createElement('form');
+  const addField = (name, label, field) => {
+    const labelElement = document.createElement('label');
+    labelElement.textContent = label;
+    field.name = name;
+    labelElement.appendChild(field);
+    form.appendChild(labelElement);
+  };
+  const createInput = (type, placeholder = '') => {
+    const input = document.createElement('input');
+    input.type = type;
+    input.placeholder = placeholder;
+    return input;
+  };
+  const createSelect = (choices) => {
+    const select = document.createElement('select');
+    choices.forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    return select;
+  };
+
+  addField('startDate', 'From', createInput('date'));
+  addField('endDate', 'To', createInput('date'));
+  addField('device', 'Device', createSelect([['', 'All devices'], ['mobile', 'Mobile'], ['desktop', 'Desktop']]));
+  const audiences = Object.keys(options.audiences || {});
+  if (audiences.length) {
+    addField('audience', 'Audience', createSelect([['', 'All audiences'], ...audiences.map((a) => [a, a])]));
+  }
+  addField('source', 'Campaign source', createInput('text', 'utm_source'));
+  filters.appendChild(form);
+
+  form.addEventListener('change', () => {
+    onChange(Object.keys(RESULTS_FILTERS).reduce((selected, name) => {
+      const value = form.elements[name]?.value.trim();
+      if (value) {
+        selected[name] = value;
+      }
+      return selected;
+    }, {}));
+  });
+  form.addEventListener('submit', (ev) => ev.preventDefault());
+  isolateFromPill(filters);
+  pill.querySelector('.hlx-info').before(filters);
+}
+
+/**
+ * Shows which sub-conditions of the boolean audience expressions matched, i.e.
+ * `mobile ✓ & (returning ✗ | newsletter ✓) & !employee ✓`, so authors can debug
+ * why a visitor was or wasn't targeted.
+ * @param {string[]} expressions the normalized audience expressions
+ * @returns {HTMLElement} the details, or `null` if none of the expressions was evaluated
+ */
+function createAudienceExpressionsDetails(expressions) {
+  const results = expressions
+    .map((expression) => [expression, window.hlx?.audienceExpressions?.[expression]])
+    .filter(([, result]) => result);
+  if (!results.length) {
+    return null;
+  }
+  const div = document.createElement('div');
+  div.className = 'hlx-details hlx-audience-expressions';
+  results.forEach(([expression, { matched, conditions }]) => {
+    const line = document.createElement('p');
+    line.textContent = `${expression
+      .replace(/(!*)([^&|,!()]+)/g, (match, not, name) => (
+        `${match} ${conditions[name] !== (not.length % 2 === 1) ? '✓' : '✗'}`
+      ))
+      .replace(/[&|]/g, (operator) => ` ${operator} `)
+      .replace(/,/g, ', ')} → ${matched ? 'matched' : 'not matched'}`;
+    div.appendChild(line);
+  });
+  return div;
+}
+
+/**
+ * Shows the audiences that timed out or failed to resolve, since those are considered
+ * not resolved. Audiences in boolean expressions are checked as well.
+ * @param {string[]} audiences the normalized audiences or audience expressions
+ * @returns {HTMLElement} the details, or `null` if all the audiences resolved normally
+ */
+function createAudienceIssuesDetails(audiences) {
+  const names = audiences.flatMap((audience) => [
+    audience,
+    ...Object.keys(window.hlx?.audienceExpressions?.[audience]?.conditions || {}),
+  ]);
+  const issues = [...new Set(names)]
+    .map((name) => [name, window.hlx?.audienceResolutions?.[name]])
+    .filter(([, resolution]) => resolution && ['timeout', 'error'].includes(resolution.status));
+  if (!issues.length) {
+    return null;
+  }
+  const div = document.createElement('div');
+  div.className = 'hlx-details hlx-audience-issues';
+  div.textContent = `⚠ ${issues.map(([name, { status, duration, error }]) => (status === 'timeout'
+    ? `${name} timed out after ${duration}ms`
+    : `${name} failed: ${error}`)).join(', ')}. Those are considered not resolved.`;
+  return div;
+}
+
+/**
+ * Create Badge for an AEM Experiment the page is enlisted in
+ * @return {Object} returns a badge or empty string
+ */
+async function decorateExperimentPill(overlay, config, options, context) {
+  const experiment = context.toClassName(config.id);
   // eslint-disable-next-line no-console
   console.log('preview experiment', experiment);
 
   const domainKey = window.localStorage.getItem(DOMAIN_KEY_NAME);
-  const conversionName = config.conversionName
+  let filters = {};
+  const conversionName = config.primaryMetric
+    || config.conversionName
     || context.getMetadata('conversion-name')
     || 'click';
 
@@ -487,11 +1285,38 @@ async function decorateExperimentPill(overlay, options, context) {
     detailsDiv.appendChild(document.createTextNode(', Blocks: '));
     detailsDiv.appendChild(document.createTextNode(config.variants[config.variantNames[0]].blocks.join(',')));
   }
+  if (config.splitAudience) {
+    detailsDiv.appendChild(document.createTextNode(`, Split: ${config.splitAudience}`));
+  }
+  if (config.layer) {
+    detailsDiv.appendChild(document.createTextNode(`, Layer: ${config.layer} (${config.layerRange}%)`));
+  }
+  if (context.toClassName(config.allocation) === 'bandit') {
+    detailsDiv.appendChild(document.createTextNode(', Allocation: bandit'));
+  }
+  if (config.trafficAllocation) {
+    detailsDiv.appendChild(document.createTextNode(`, Traffic: ${parseFloat(config.trafficAllocation)}%`));
+  }
+  if (config.excluded) {
+    detailsDiv.appendChild(document.createTextNode(config.excludedBy === 'consent'
+      ? ', Excluded as no consent was given'
+      : `, Excluded by ${config.excludedBy} allocation`));
+  }
 
   const infoDiv = document.createElement('div');
   infoDiv.className = 'hlx-info';
   infoDiv.textContent = 'How is it going?';
   descriptionContainer.appendChild(detailsDiv);
+  const experimentAudiences = (config.audiences || [])
+    .flatMap((audience) => context.getAudiences(audience));
+  const expressionsDiv = createAudienceExpressionsDetails(experimentAudiences);
+  if (expressionsDiv) {
+    descriptionContainer.appendChild(expressionsDiv);
+  }
+  const audienceIssuesDiv = createAudienceIssuesDetails(experimentAudiences);
+  if (audienceIssuesDiv) {
+    descriptionContainer.appendChild(audienceIssuesDiv);
+  }
   descriptionContainer.appendChild(infoDiv);
   const pill = createPopupButton(
     `Experiment: ${config.id}`,
@@ -500,7 +1325,8 @@ async function decorateExperimentPill(overlay, options, context) {
       description: descriptionContainer,
       actions: [
         ...config.manifest ? [{ label: 'Manifest', href: config.manifest }] : [],
-        {
+        // the domain key is only needed to query the RUM data
+        ...options.resultsProvider ? [] : [{
           label: (() => { const s = document.createElement('span'); s.style.cssText = 'font-size:2em;line-height:1em'; s.textContent = '⚙'; return s; })(),
           onclick: async () => {
             // eslint-disable-next-line no-alert
@@ -510,36 +1336,53 @@ async function decorateExperimentPill(overlay, options, context) {
             );
             if (key && key.match(/[a-f0-9-]+/)) {
               window.localStorage.setItem(DOMAIN_KEY_NAME, key);
-              const performanceMetrics = await fetchRumData(experiment, {
+              await showExperimentResults(pill, experiment, config, {
                 ...options,
                 conversionName,
                 domainKey: key,
+                filters,
               });
-              if (performanceMetrics === null) {
-                return;
-              }
-              populatePerformanceMetrics(pill, config, performanceMetrics, conversionName);
             } else if (key === '') {
               window.localStorage.removeItem(DOMAIN_KEY_NAME);
             }
           },
-        },
+        }],
       ],
     },
-    config.variantNames.map((vname) => createVariant(experiment, vname, config, options)),
+    config.variantNames.map((vname) => createVariant(experiment, vname, config, options, context)),
   );
   if (config.run) {
     pill.classList.add(`is-${context.toClassName(config.status)}`);
   }
   overlay.append(pill);
+  decoratePlanner(pill, config, options);
+  decorateFilters(pill, options, (selected) => {
+    filters = selected;
+    showExperimentResults(pill, experiment, config, {
+      ...options,
+      conversionName,
+      domainKey: window.localStorage.getItem(DOMAIN_KEY_NAME),
+      filters,
+    });
+  });
 
-  const performanceMetrics = await fetchRumData(experiment, {
-    ...options, domainKey, conversionName,
+  await showExperimentResults(pill, experiment, config, {
+    ...options, domainKey, conversionName, filters,
   });
-  if (performanceMetrics === null) {
-    return;
-  }
-  populatePerformanceMetrics(pill, config, performanceMetrics, conversionName);
+}
+
+/**
+ * Create Badges for all the AEM Experiments the page is enlisted in
+ */
+async function decorateExperimentPills(overlay, options, context) {
+  const experiments = window?.hlx?.experiments
+    || (window?.hlx?.experiment ? [window.hlx.experiment] : []);
+  await Promise.all(experiments.map((config) => decorateExperimentPill(
+    overlay,
+    config,
+    options,
+    context,
+  )));
 }
 
 function createCampaign(campaign, isSelected, options) {
@@ -571,16 +1414,16 @@ async function decorateCampaignPill(overlay, options, context) {
   const forcedAudience = usp.has(options.audiencesQueryParameter)
     ? context.toClassName(usp.get(options.audiencesQueryParameter))
     : null;
-  const audiences = campaigns.audience?.split(',').map(context.toClassName) || [];
-  const resolvedAudiences = await context.getResolvedAudiences(audiences, options);
-  const isActive = forcedAudience
+  const audiences = context.getAudiences(campaigns.audience);
+  const resolvedAudiences = await context.getResolvedAudiences(audiences, options, context);
+  const isActive = forcedAudience && !resolvedAudiences
     ? audiences.includes(forcedAudience)
     : (!resolvedAudiences || !!resolvedAudiences.length);
   const campaign = (usp.has(options.campaignsQueryParameter)
     ? context.toClassName(usp.get(options.campaignsQueryParameter))
     : null)
     || (usp.has('utm_campaign') ? context.toClassName(usp.get('utm_campaign')) : null);
-  
+
   const campaignDescriptionContainer = document.createElement('div');
   const campaignDetailsDiv = document.createElement('div');
   campaignDetailsDiv.className = 'hlx-details';
@@ -592,7 +1435,15 @@ async function decorateCampaignPill(overlay, options, context) {
   } else if (!audiences.length || !resolvedAudiences) {
     campaignDetailsDiv.textContent = 'No audience configured';
   }
-campaignDescriptionContainer.appendChild(campaignDetailsDiv);
+  campaignDescriptionContainer.appendChild(campaignDetailsDiv);
+  const campaignExpressionsDiv = createAudienceExpressionsDetails(audiences);
+  if (campaignExpressionsDiv) {
+    campaignDescriptionContainer.appendChild(campaignExpressionsDiv);
+  }
+  const campaignAudienceIssuesDiv = createAudienceIssuesDetails(audiences);
+  if (campaignAudienceIssuesDiv) {
+    campaignDescriptionContainer.appendChild(campaignAudienceIssuesDiv);
+  }
 
   const pill = createPopupButton(
     `Campaign: ${campaign || 'default'}`,
@@ -614,12 +1465,17 @@ campaignDescriptionContainer.appendChild(campaignDetailsDiv);
   overlay.append(pill);
 }
 
-function createAudience(audience, isSelected, options) {
+function createAudience(audience, isSelected, options, context) {
   const url = new URL(window.location.href);
   url.searchParams.set(options.audiencesQueryParameter, audience);
 
+  // composite audiences are defined as a boolean expression of other audiences
+  const definition = options.audiences?.[audience];
   return {
     label: (() => { const c = document.createElement('code'); c.textContent = audience; return c; })(),
+    description: typeof definition === 'string'
+      ? createAudienceExpressionsDetails(context.getAudiences(definition))
+      : null,
     actions: [{ label: 'Simulate', href: url.href }],
     isSelected,
   };
@@ -640,16 +1496,43 @@ async function decorateAudiencesPill(overlay, options, context) {
     options,
     context,
   );
+  // the audience actually served depends on the conflict resolution strategy
+  const { selectedAudience = resolvedAudiences?.[0], runnersUp = [] } = window.hlx?.audience || {};
+
+  const description = document.createElement('div');
+  if (selectedAudience && resolvedAudiences.length) {
+    const details = document.createElement('div');
+    details.className = 'hlx-details';
+    const strategy = window.hlx?.audience?.strategy
+      || context.getMetadata(`${options.audiencesMetaTagPrefix}s-strategy`)
+      || options.audiencesStrategy;
+    details.textContent = `Strategy: ${strategy}`;
+    if (runnersUp.length) {
+      details.textContent += `, Runners-up: ${runnersUp.join(', ')}`;
+    }
+    description.appendChild(details);
+  }
+  const issues = createAudienceIssuesDetails(Object.keys(audiences));
+  if (issues) {
+    description.appendChild(issues);
+  }
+
   const pill = createPopupButton(
     'Audiences',
     {
       label: 'Audiences for this page:',
+      description: description.children.length ? description : null,
     },
     [
-      createAudience('default', !resolvedAudiences.length || resolvedAudiences[0] === 'default', options),
+      createAudience('default', !resolvedAudiences.length || selectedAudience === 'default', options),
       ...Object.keys(audiences)
         .filter((a) => a !== 'audience')
-        .map((a) => createAudience(a, resolvedAudiences && resolvedAudiences[0] === a, options)),
+        .map((a) => createAudience(
+          a,
+          !!resolvedAudiences?.length && selectedAudience === a,
+          options,
+          context,
+        )),
     ],
   );
 
@@ -659,6 +1542,45 @@ async function decorateAudiencesPill(overlay, options, context) {
   overlay.append(pill);
 }
 
+function createHoldout(label, value, isSelected, options) {
+  const url = new URL(window.location.href);
+  url.searchParams.set(options.holdoutQueryParameter, value);
+
+  return {
+    label: (() => { const c = document.createElement('code'); c.textContent = label; return c; })(),
+    actions: [{ label: 'Simulate', href: url.href }],
+    isSelected,
+  };
+}
+
+/**
+ * Create Badge if the site has a global holdout group
+ * @return {Object} returns a badge or empty string
+ */
+async function decorateHoldoutPill(overlay, options) {
+  const holdout = window?.hlx?.holdout;
+  if (!holdout) {
+    return;
+  }
+
+  const pill = createPopupButton(
+    `Holdout: ${holdout.isHoldout ? 'in' : 'out'}`,
+    {
+      label: `Holdout: ${holdout.id}`,
+      description: `${holdout.percentage}% of the visitors do not see any campaign, experiment or audience-targeted content.`,
+    },
+    [
+      createHoldout('holdout', 'on', holdout.isHoldout, options),
+      createHoldout('exposed', 'off', !holdout.isHoldout, options),
+    ],
+  );
+
+  if (holdout.isHoldout) {
+    pill.classList.add('is-active');
+  }
+  overlay.append(pill);
+}
+
 /**
  * Decorates Preview mode badges and overlays
  * @return {Object} returns a badge or empty string
@@ -666,9 +1588,10 @@ async function decorateAudiencesPill(overlay, options, context) {
 export default async function decoratePreviewMode(document, options, context) {
   try {
     const overlay = getOverlay(options);
+    await decorateHoldoutPill(overlay, options);
     await decorateAudiencesPill(overlay, options, context);
     await decorateCampaignPill(overlay, options, context);
-    await decorateExperimentPill(overlay, options, context);
+    await decorateExperimentPills(overlay, options, context);
   } catch (e) {
     // eslint-disable-next-line no-console
     console.log(e);
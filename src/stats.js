@@ -0,0 +1,528 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32), so the same seed always
+ * produces the same sequence of numbers.
+ * @param {string} seed the seed
+ * @returns {function} a function returning numbers in the [0, 1) range, like `Math.random`
+ */
+/* eslint-disable no-bitwise */
+export function createRandom(seed) {
+  let state = [...String(seed)]
+    .reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+/* eslint-enable no-bitwise */
+
+/**
+ * Draws a sample from the standard normal distribution (Box-Muller transform).
+ * @param {function} [random] the random number generator
+ * @returns {number} the sample
+ */
+function sampleNormal(random = Math.random) {
+  const u = 1 - random(); // avoid log(0)
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Draws a sample from the gamma distribution with the given shape and a scale of 1
+ * (Marsaglia and Tsang method).
+ * @param {number} shape the shape of the distribution
+ * @param {function} [random] the random number generator
+ * @returns {number} the sample
+ */
+function sampleGamma(shape, random = Math.random) {
+  if (shape < 1) {
+    return sampleGamma(shape + 1, random) * (random() ** (1 / shape));
+  }
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v **= 3;
+    const u = random();
+    if (u < 1 - 0.0331 * (x ** 4) || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+      return d * v;
+    }
+  }
+}
+
+/**
+ * Draws a sample from the beta distribution.
+ * @param {number} alpha the alpha parameter of the distribution
+ * @param {number} beta the beta parameter of the distribution
+ * @param {function} [random] the random number generator
+ * @returns {number} the sample
+ */
+export function sampleBeta(alpha, beta, random = Math.random) {
+  const x = sampleGamma(alpha, random);
+  const y = sampleGamma(beta, random);
+  return x / (x + y);
+}
+
+/**
+ * Estimates for each variant the probability of having the best conversion rate,
+ * using Monte Carlo sampling of the Beta posteriors (uniform prior).
+ * @param {object[]} variants the variants as `{ visits, conversions }` objects
+ * @param {number} [draws] the number of draws to use for the estimation
+ * @param {function} [random] the random number generator, i.e. a seeded one to get
+ * reproducible estimations
+ * @returns {number[]} the probabilities, in the same order as the variants
+ */
+export function getProbabilitiesToBeBest(variants, draws = 5000, random = Math.random) {
+  const wins = new Array(variants.length).fill(0);
+  const posteriors = variants.map(({ visits, conversions }) => {
+    const successes = Math.max(conversions, 0);
+    return [successes + 1, Math.max(visits - successes, 0) + 1];
+  });
+  for (let i = 0; i < draws; i += 1) {
+    let best = 0;
+    let bestSample = -1;
+    posteriors.forEach(([alpha, beta], index) => {
+      const sample = sampleBeta(alpha, beta, random);
+      if (sample > bestSample) {
+        bestSample = sample;
+        best = index;
+      }
+    });
+    wins[best] += 1;
+  }
+  return wins.map((count) => count / draws);
+}
+
+/**
+ * Computes the natural logarithm of the gamma function (Lanczos approximation).
+ * @param {number} x the value
+ * @returns {number} the log gamma
+ */
+function logGamma(x) {
+  const coefficients = [
+    76.180091729471, -86.505320329417, 24.014098240831,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  const series = coefficients.reduce((sum, c) => {
+    y += 1;
+    return sum + c / y;
+  }, 1.000000000190015);
+  return -tmp + Math.log((2.506628274631 * series) / x);
+}
+
+/**
+ * Evaluates the continued fraction of the incomplete beta function (modified Lentz's method).
+ * @param {number} x the value
+ * @param {number} a the a parameter
+ * @param {number} b the b parameter
+ * @returns {number} the continued fraction
+ */
+function betaContinuedFraction(x, a, b) {
+  const epsilon = 1e-14;
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let h = d;
+  for (let m = 1; m <= 300; m += 1) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    c = 1 + aa / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    h *= d * c;
+    aa = -((a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    c = 1 + aa / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < epsilon) {
+      break;
+    }
+  }
+  return h;
+}
+
+/**
+ * Computes the regularized incomplete beta function.
+ * @param {number} x the value, between 0 and 1
+ * @param {number} a the a parameter
+ * @param {number} b the b parameter
+ * @returns {number} the regularized incomplete beta
+ */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) {
+    return 0;
+  }
+  if (x >= 1) {
+    return 1;
+  }
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b)
+    + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+/**
+ * Computes the cumulative distribution function of the Student's t distribution.
+ * @param {number} t the t statistic
+ * @param {number} df the degrees of freedom
+ * @returns {number} the probability of a value lower or equal to `t`
+ */
+export function studentTCdf(t, df) {
+  const tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  return t > 0 ? 1 - tail : tail;
+}
+
+/**
+ * Computes the quantile function of the Student's t distribution (bisection).
+ * @param {number} p the probability
+ * @param {number} df the degrees of freedom
+ * @returns {number} the t value with a cumulative probability of `p`
+ */
+export function studentTQuantile(p, df) {
+  let low = -1000;
+  let high = 1000;
+  for (let i = 0; i < 100; i += 1) {
+    const mid = (low + high) / 2;
+    if (studentTCdf(mid, df) < p) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Summarizes a sample of numeric values.
+ * @param {number[]} values the values
+ * @param {number} [confidence] the confidence level of the interval
+ * @returns {object} the `count`, `mean`, (sample) `variance`, `standardError` and
+ * `confidenceInterval` of the mean
+ */
+export function summarize(values, confidence = 0.95) {
+  const count = values.length;
+  const mean = count ? values.reduce((sum, v) => sum + v, 0) / count : 0;
+  const variance = count > 1
+    ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (count - 1)
+    : 0;
+  const standardError = count ? Math.sqrt(variance / count) : 0;
+  const margin = count > 1
+    ? studentTQuantile(1 - (1 - confidence) / 2, count - 1) * standardError
+    : Infinity;
+  return {
+    count,
+    mean,
+    variance,
+    standardError,
+    confidenceInterval: [mean - margin, mean + margin],
+  };
+}
+
+/**
+ * Compares the means of 2 samples with unequal variances (Welch's t-test).
+ * @param {number[]} control the control values
+ * @param {number[]} variant the variant values
+ * @param {number} [confidence] the confidence level of the interval
+ * @returns {object} the `difference` of the means, with its `confidenceInterval`,
+ * the `t` statistic, the degrees of freedom `df` and the two-sided `pValue`
+ */
+export function welchTTest(control, variant, confidence = 0.95) {
+  const a = summarize(control);
+  const b = summarize(variant);
+  const difference = b.mean - a.mean;
+  const va = a.standardError ** 2;
+  const vb = b.standardError ** 2;
+  const standardError = Math.sqrt(va + vb);
+  if (a.count < 2 || b.count < 2 || !standardError) {
+    return {
+      difference, confidenceInterval: [-Infinity, Infinity], t: 0, df: 0, pValue: 1,
+    };
+  }
+  const t = difference / standardError;
+  const df = (va + vb) ** 2 / (va ** 2 / (a.count - 1) + vb ** 2 / (b.count - 1));
+  const margin = studentTQuantile(1 - (1 - confidence) / 2, df) * standardError;
+  return {
+    difference,
+    confidenceInterval: [difference - margin, difference + margin],
+    t,
+    df,
+    pValue: 2 * (1 - studentTCdf(Math.abs(t), df)),
+  };
+}
+
+/**
+ * Computes the cumulative distribution function of the standard normal distribution
+ * (Abramowitz and Stegun approximation of the error function).
+ * @param {number} z the z score
+ * @returns {number} the probability of a value lower or equal to `z`
+ */
+export function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736)
+    * t + 0.254829592) * t * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Computes the quantile function of the standard normal distribution (Acklam's algorithm).
+ * @param {number} p the probability
+ * @returns {number} the z score with a cumulative probability of `p`
+ */
+export function normalQuantile(p) {
+  if (p <= 0) {
+    return -Infinity;
+  }
+  if (p >= 1) {
+    return Infinity;
+  }
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687,
+    138.357751867269, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866,
+    66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838,
+    -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const low = 0.02425;
+  if (p < low || p > 1 - low) {
+    const q = Math.sqrt(-2 * Math.log(p < low ? p : 1 - p));
+    const z = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5])
+      / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    return p < low ? z : -z;
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q)
+    / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Compares the conversion rates of a variant and the control (two-proportion z-test).
+ * @param {object} control the control, as `{ visits, conversions }`
+ * @param {object} variant the variant, as `{ visits, conversions }`
+ * @returns {object} the `z` score and the two-sided `pValue`
+ */
+export function twoProportionZTest(control, variant) {
+  const pooled = (control.conversions + variant.conversions) / (control.visits + variant.visits);
+  const standardError = Math.sqrt(pooled * (1 - pooled)
+    * (1 / control.visits + 1 / variant.visits));
+  if (!standardError) {
+    return { z: 0, pValue: 1 };
+  }
+  const z = (variant.conversions / variant.visits - control.conversions / control.visits)
+    / standardError;
+  return { z, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+}
+
+/**
+ * Computes the relative lift of the variant conversion rate over the control one,
+ * with its confidence interval (delta method on the log of the ratio).
+ * @param {object} control the control, as `{ visits, conversions }`
+ * @param {object} variant the variant, as `{ visits, conversions }`
+ * @param {number} [confidence] the confidence level of the interval
+ * @returns {object} the relative `lift` and its `confidenceInterval`
+ */
+export function getRelativeLift(control, variant, confidence = 0.95) {
+  const pc = control.conversions / control.visits;
+  const pv = variant.conversions / variant.visits;
+  if (!pc || !pv) {
+    return { lift: pc ? pv / pc - 1 : 0, confidenceInterval: [-Infinity, Infinity] };
+  }
+  const ratio = Math.log(pv / pc);
+  const standardError = Math.sqrt((1 - pv) / variant.conversions + (1 - pc) / control.conversions);
+  const margin = normalQuantile(1 - (1 - confidence) / 2) * standardError;
+  return {
+    lift: pv / pc - 1,
+    confidenceInterval: [Math.exp(ratio - margin) - 1, Math.exp(ratio + margin) - 1],
+  };
+}
+
+/**
+ * Estimates the probability that the variant has a better conversion rate than the control,
+ * using Monte Carlo sampling of the Beta posteriors (uniform prior).
+ * @param {object} control the control, as `{ visits, conversions }`
+ * @param {object} variant the variant, as `{ visits, conversions }`
+ * @param {number} [draws] the number of draws to use for the estimation
+ * @returns {number} the probability to beat the control
+ */
+export function getProbabilityToBeatControl(control, variant, draws = 5000) {
+  const [, probability] = getProbabilitiesToBeBest([control, variant], draws);
+  return probability;
+}
+
+/**
+ * Adjusts the p-values for multiple comparisons.
+ * @param {number[]} pValues the p-values
+ * @param {string} [method] the correction method: `holm` (Holm-Bonferroni), `bonferroni`
+ * or `none`
+ * @returns {number[]} the adjusted p-values, in the same order
+ */
+export function adjustPValues(pValues, method = 'holm') {
+  const m = pValues.length;
+  if (method === 'bonferroni') {
+    return pValues.map((p) => Math.min(p * m, 1));
+  }
+  if (method !== 'holm') {
+    return [...pValues];
+  }
+  const adjusted = new Array(m);
+  let max = 0;
+  pValues
+    .map((p, index) => ({ p, index }))
+    .sort((x, y) => x.p - y.p)
+    .forEach(({ p, index }, rank) => {
+      max = Math.max(max, Math.min(p * (m - rank), 1));
+      adjusted[index] = max;
+    });
+  return adjusted;
+}
+
+/**
+ * Computes the number of visits needed per variant to detect a relative change of the
+ * conversion rate (two-sided two-proportion test).
+ * @param {number} baselineRate the conversion rate of the control
+ * @param {number} minDetectableEffect the relative change to detect, i.e. `0.1` for +10%
+ * @param {object} [options] the test options
+ * @param {number} [options.alpha] the significance level
+ * @param {number} [options.power] the statistical power
+ * @returns {number} the number of visits per variant, or `Infinity` if it cannot be detected
+ */
+export function getSampleSize(
+  baselineRate,
+  minDetectableEffect,
+  { alpha = 0.05, power = 0.8 } = {},
+) {
+  const p1 = baselineRate;
+  const p2 = baselineRate * (1 + minDetectableEffect);
+  if (!p1 || p1 === p2 || p2 <= 0 || p2 >= 1) {
+    return Infinity;
+  }
+  const z = normalQuantile(1 - alpha / 2) + normalQuantile(power);
+  return Math.ceil((z * z * (p1 * (1 - p1) + p2 * (1 - p2))) / ((p2 - p1) ** 2));
+}
+
+/**
+ * Analyzes the results of an experiment, comparing each challenger to the control.
+ * @param {object} control the control, as `{ visits, conversions }`
+ * @param {object[]} challengers the challengers, as `{ visits, conversions }`
+ * @param {object} [options] the analysis options
+ * @param {number} [options.alpha] the significance level
+ * @param {string} [options.correction] the multiple comparisons correction method
+ * @returns {object[]} for each challenger: its `conversionRate`, relative `lift` and lift
+ * `confidenceInterval`, the raw and `adjustedPValue`, the `probabilityToBeatControl` and
+ * whether the difference `isSignificant`
+ */
+export function analyzeExperiment(control, challengers, { alpha = 0.05, correction = 'holm' } = {}) {
+  const results = challengers.map((variant) => {
+    const { pValue } = twoProportionZTest(control, variant);
+    const { lift, confidenceInterval } = getRelativeLift(control, variant, 1 - alpha);
+    return {
+      conversionRate: variant.visits ? variant.conversions / variant.visits : 0,
+      lift,
+      confidenceInterval,
+      pValue,
+      probabilityToBeatControl: getProbabilityToBeatControl(control, variant),
+    };
+  });
+  const adjusted = adjustPValues(results.map((r) => r.pValue), correction);
+  return results.map((result, i) => ({
+    ...result,
+    adjustedPValue: adjusted[i],
+    isSignificant: adjusted[i] < alpha,
+  }));
+}
+
+/**
+ * Computes the regularized lower incomplete gamma function.
+ * @param {number} s the shape
+ * @param {number} x the value
+ * @returns {number} the regularized lower incomplete gamma
+ */
+function lowerIncompleteGamma(s, x) {
+  if (x <= 0) {
+    return 0;
+  }
+  const front = Math.exp(-x + s * Math.log(x) - logGamma(s));
+  if (x < s + 1) {
+    // series expansion
+    let term = 1 / s;
+    let sum = term;
+    for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-14; n += 1) {
+      term *= x / (s + n);
+      sum += term;
+    }
+    return front * sum;
+  }
+  // continued fraction (modified Lentz's method)
+  const tiny = 1e-300;
+  let b = x + 1 - s;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let n = 1; n < 500; n += 1) {
+    const an = -n * (n - s);
+    b += 2;
+    d = an * d + b;
+    d = 1 / (Math.abs(d) < tiny ? tiny : d);
+    c = b + an / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) {
+      break;
+    }
+  }
+  return 1 - front * h;
+}
+
+/**
+ * Checks if the observed counts match the expected shares (chi-square goodness of fit test).
+ * @param {number[]} observed the observed counts
+ * @param {number[]} expectedShares the expected shares, summing up to 1
+ * @returns {object} the `chiSquare` statistic, the degrees of freedom `df` and the `pValue`
+ */
+export function chiSquareTest(observed, expectedShares) {
+  const total = observed.reduce((sum, count) => sum + count, 0);
+  const chiSquare = observed.reduce((sum, count, i) => {
+    const expected = total * expectedShares[i];
+    if (!expected) {
+      return count ? Infinity : sum;
+    }
+    return sum + ((count - expected) ** 2) / expected;
+  }, 0);
+  const df = observed.length - 1;
+  if (!total || df < 1) {
+    return { chiSquare: 0, df, pValue: 1 };
+  }
+  return {
+    chiSquare,
+    df,
+    pValue: Number.isFinite(chiSquare) ? 1 - lowerIncompleteGamma(df / 2, chiSquare / 2) : 0,
+  };
+}
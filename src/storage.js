@@ -0,0 +1,149 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+const DAY_IN_SECONDS = 86400;
+
+/**
+ * Creates a storage that only keeps the data for the current page view.
+ * @returns {object} a `Storage`-like object
+ */
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    keys: () => [...items.keys()],
+    isPersistent: () => false,
+  };
+}
+
+/**
+ * Creates a storage that persists the data in first-party cookies.
+ * @param {number} ttl the number of days the cookies are kept
+ * @returns {object} a `Storage`-like object
+ */
+function createCookieStorage(ttl) {
+  const secure = window.location.protocol === 'https:' ? '; Secure' : '';
+  return {
+    getItem: (key) => {
+      const name = `${encodeURIComponent(key)}=`;
+      const cookie = document.cookie.split(';')
+        .map((c) => c.trim())
+        .find((c) => c.startsWith(name));
+      return cookie ? decodeURIComponent(cookie.substring(name.length)) : null;
+    },
+    setItem: (key, value) => {
+      document.cookie = `${encodeURIComponent(key)}=${encodeURIComponent(value)}; path=/; max-age=${Math.round(ttl * DAY_IN_SECONDS)}; SameSite=Lax${secure}`;
+    },
+    removeItem: (key) => {
+      document.cookie = `${encodeURIComponent(key)}=; path=/; max-age=0; SameSite=Lax${secure}`;
+    },
+  };
+}
+
+/**
+ * Gets the web storage of the given type, if it is available in the browser.
+ * @param {string} type the storage type, either `local` or `session`
+ * @returns {Storage} the web storage, or `null` if it is disabled (i.e. in private browsing)
+ */
+function getWebStorage(type) {
+  try {
+    const storage = type === 'local' ? window.localStorage : window.sessionStorage;
+    const key = '__aem-experimentation-test__';
+    storage.setItem(key, key);
+    storage.removeItem(key);
+    return storage;
+  } catch (err) {
+    // eslint-disable-next-line no-console
+    console.warn(`The ${type} storage is not available. Falling back to in-memory storage.`, err);
+    return null;
+  }
+}
+
+/**
+ * Gets the backend that persists the data for the given storage type.
+ * @param {string|object} type the storage type, or a custom `Storage`-like object
+ * @param {number} ttl the number of days the data is kept, for storages that support expiry
+ * @returns {object} a `Storage`-like object
+ */
+function getStorageBackend(type, ttl) {
+  if (type && typeof type === 'object' && typeof type.getItem === 'function') {
+    return type;
+  }
+  switch (type) {
+    case 'local':
+    case 'session':
+      return getWebStorage(type) || createMemoryStorage();
+    case 'cookie':
+      return createCookieStorage(ttl);
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      // eslint-disable-next-line no-console
+      console.warn(`Unknown storage type "${type}". Falling back to in-memory storage.`);
+      return createMemoryStorage();
+  }
+}
+
+/**
+ * Checks whether the storage persists the data beyond the current page view.
+ * @param {object} storage a `Storage`-like object
+ * @returns {boolean} `true` if the data is persisted
+ */
+function isPersistent(storage) {
+  return typeof storage.isPersistent === 'function' ? storage.isPersistent() : true;
+}
+
+/**
+ * Creates a storage of the given type.
+ * The returned storage exposes an `isPersistent` function telling whether the data
+ * currently outlives the page view.
+ * If a consent promise is provided, the data is only kept in memory until the promise resolves
+ * to a truthy value. It is then persisted in the actual storage, without overriding the values
+ * that were already persisted there.
+ * @param {string|object} type the storage type (`session`, `local`, `cookie` or `memory`),
+ * or a custom `Storage`-like object
+ * @param {object} [options] the storage options
+ * @param {number} [options.ttl] the number of days the data is kept, for storages that
+ * support expiry
+ * @param {Promise<boolean>} [options.consent] a promise that resolves once the end-user
+ * consented to the data being persisted
+ * @returns {object} a `Storage`-like object
+ */
+export default function createStorage(type, { ttl = 30, consent = null } = {}) {
+  const memory = createMemoryStorage();
+  let backend = consent ? memory : getStorageBackend(type, ttl);
+  const storage = {
+    getItem: (key) => backend.getItem(key),
+    setItem: (key, value) => backend.setItem(key, value),
+    removeItem: (key) => backend.removeItem(key),
+    isPersistent: () => isPersistent(backend),
+  };
+  if (!consent) {
+    return storage;
+  }
+
+  consent.then((granted) => {
+    if (!granted) {
+      return;
+    }
+    const persistent = getStorageBackend(type, ttl);
+    memory.keys().forEach((key) => {
+      if (persistent.getItem(key) === null) {
+        persistent.setItem(key, memory.getItem(key));
+      }
+    });
+    backend = persistent;
+  });
+  return storage;
+}
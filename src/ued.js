@@ -12,6 +12,11 @@
 /* eslint-disable */
 
 var storage = window.sessionStorage;
+var storageKey = 'unified-decisioning-experiments';
+var storageTtl = 30;
+// the buckets used for layers and traffic allocation need to outlive the browsing session,
+// so a returning visitor stays in the same slice
+var bucketStorage = storage;
 
 function murmurhash3_32_gc(key, seed) {
   var remainder = key.length & 3;
@@ -85,7 +90,6 @@ function assignTreatmentByVisitor(experimentid, identityId, allocationPercentage
   };
 }
 
-var LOCAL_STORAGE_KEY = 'unified-decisioning-experiments';
 function assignTreatment(allocationPercentages, treatments) {
   var random = Math.random() * 100;
   var i = treatments.length;
@@ -95,37 +99,43 @@ function assignTreatment(allocationPercentages, treatments) {
   }
   return treatments[i];
 }
-function getLastExperimentTreatment(experimentId) {
-  var experimentsStr = storage.getItem(LOCAL_STORAGE_KEY);
+function purgeExpiredEntries(entries, now) {
+  Object.keys(entries).forEach(function (key) {
+      var date = new Date(entries[key].date);
+      if ((now.getTime() - date.getTime()) > (1000 * 86400 * storageTtl)) {
+          delete entries[key];
+      }
+  });
+}
+function getLastExperimentTreatment(experimentId, audience) {
+  var experimentsStr = storage.getItem(storageKey);
   if (experimentsStr) {
       var experiments = JSON.parse(experimentsStr);
-      if (experiments[experimentId]) {
+      // the treatment is only kept while the visitor gets the same audience-specific split
+      if (experiments[experimentId] && (experiments[experimentId].audience || null) === (audience || null)) {
           return experiments[experimentId].treatment;
       }
   }
   return null;
 }
-function setLastExperimentTreatment(experimentId, treatment) {
-  var experimentsStr = storage.getItem(LOCAL_STORAGE_KEY);
+function setLastExperimentTreatment(experimentId, treatment, audience) {
+  var experimentsStr = storage.getItem(storageKey);
   var experiments = experimentsStr ? JSON.parse(experimentsStr) : {};
   var now = new Date();
-  var expKeys = Object.keys(experiments);
-  expKeys.forEach(function (key) {
-      var date = new Date(experiments[key].date);
-      if ((now.getTime() - date.getTime()) > (1000 * 86400 * 30)) {
-          delete experiments[key];
-      }
-  });
+  purgeExpiredEntries(experiments, now);
   var date = now.toISOString().split('T')[0];
   experiments[experimentId] = { treatment: treatment, date: date };
-  storage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(experiments));
+  if (audience) {
+      experiments[experimentId].audience = audience;
+  }
+  storage.setItem(storageKey, JSON.stringify(experiments));
 }
-function assignTreatmentByDevice(experimentId, allocationPercentages, treatments) {
-  var cachedTreatmentId = getLastExperimentTreatment(experimentId);
+function assignTreatmentByDevice(experimentId, allocationPercentages, treatments, audience) {
+  var cachedTreatmentId = getLastExperimentTreatment(experimentId, audience);
   var treatmentIdResponse;
   if (!cachedTreatmentId || !treatments.includes(cachedTreatmentId)) {
       var assignedTreatmentId = assignTreatment(allocationPercentages, treatments);
-      setLastExperimentTreatment(experimentId, assignedTreatmentId);
+      setLastExperimentTreatment(experimentId, assignedTreatmentId, audience);
       treatmentIdResponse = assignedTreatmentId;
   }
   else {
@@ -140,12 +150,60 @@ var RandomizationUnit = {
   VISITOR: 'VISITOR',
   DEVICE: 'DEVICE'
 };
+function getDeviceBucket(key) {
+  var bucketsStr = bucketStorage.getItem(storageKey + '-buckets');
+  var buckets = bucketsStr ? JSON.parse(bucketsStr) : {};
+  if (!buckets[key] || typeof buckets[key].bucket !== 'number') {
+      var now = new Date();
+      purgeExpiredEntries(buckets, now);
+      buckets[key] = {
+          bucket: Math.floor(Math.random() * TOTAL_BUCKETS) / TOTAL_BUCKETS,
+          date: now.toISOString().split('T')[0]
+      };
+      bucketStorage.setItem(storageKey + '-buckets', JSON.stringify(buckets));
+  }
+  return buckets[key].bucket;
+}
+function getAllocationBucket(key, randomizationUnit, identityId) {
+  if (randomizationUnit === RandomizationUnit.VISITOR) {
+      return getBucket(key + '.' + identityId);
+  }
+  return getDeviceBucket(key);
+}
+function getExclusionReason(experiment, randomizationUnit, identityId) {
+  // experiments in the same layer are mutually exclusive, each one claiming a slice of the bucket space
+  if (experiment.layer) {
+      var layerBucket = getAllocationBucket('layer.' + experiment.layer.id, randomizationUnit, identityId);
+      if (layerBucket < experiment.layer.range[0] || layerBucket >= experiment.layer.range[1]) {
+          return 'layer';
+      }
+  }
+  // only a share of the eligible traffic enters the experiment
+  if (typeof experiment.trafficAllocation === 'number' && experiment.trafficAllocation < 1) {
+      var trafficBucket = getAllocationBucket('traffic.' + experiment.id, randomizationUnit, identityId);
+      if (trafficBucket >= experiment.trafficAllocation) {
+          return 'traffic';
+      }
+  }
+  return null;
+}
 function evaluateExperiment(context, experiment) {
   var experimentId = experiment.id, identityNamespace = experiment.identityNamespace, _a = experiment.randomizationUnit, randomizationUnit = _a === void 0 ? RandomizationUnit.VISITOR : _a;
   var identityMap = context.identityMap;
   var treatments = experiment.treatments.map(function (item) { return item.id; });
   var allocationPercentages = experiment.treatments.map(function (item) { return item.allocationPercentage; });
   var treatmentAssignment = null;
+  var exclusionIdentityId = randomizationUnit === RandomizationUnit.VISITOR ? identityMap[identityNamespace][0].id : null;
+  var exclusionReason = getExclusionReason(experiment, randomizationUnit, exclusionIdentityId);
+  if (exclusionReason) {
+      return {
+          experimentId: experimentId,
+          treatment: {
+              id: null,
+              excludedBy: exclusionReason
+          }
+      };
+  }
   switch (randomizationUnit) {
       case RandomizationUnit.VISITOR: {
           var identityId = identityMap[identityNamespace][0].id;
@@ -153,7 +211,7 @@ function evaluateExperiment(context, experiment) {
           break;
       }
       case RandomizationUnit.DEVICE: {
-          treatmentAssignment = assignTreatmentByDevice(experimentId, allocationPercentages, treatments);
+          treatmentAssignment = assignTreatmentByDevice(experimentId, allocationPercentages, treatments, experiment.audience);
           break;
       }
       default:
@@ -175,11 +233,29 @@ function traverseDecisionTree(decisionNodesMap, context, currentNodeId) {
       var treatment = evaluateExperiment(context, experiment).treatment;
       return [treatment];
   }
+  if (type === 'AUDIENCE') {
+      // the first branch whose audience is resolved for the visitor wins
+      var audiences = context.audiences || [];
+      var branch = _a.branches.find(function (item) { return audiences.includes(item.audience); });
+      var items = traverseDecisionTree(decisionNodesMap, context, branch ? branch.nodeId : _a.defaultNodeId);
+      return items.map(function (item) {
+          return Object.assign({}, item, { audience: branch ? branch.audience : null });
+      });
+  }
 }
 function evaluateDecisionPolicy(decisionPolicy, context) {
-  if (context.storage && context.storage instanceof Storage) {
+  if (context.storage && typeof context.storage.getItem === 'function') {
     storage = context.storage;
   }
+  bucketStorage = context.bucketStorage && typeof context.bucketStorage.getItem === 'function'
+    ? context.bucketStorage
+    : storage;
+  if (context.storageKey) {
+    storageKey = context.storageKey;
+  }
+  if (context.storageTtl) {
+    storageTtl = context.storageTtl;
+  }
   var decisionNodesMap = {};
   decisionPolicy.decisionNodes.forEach(function (item) {
       decisionNodesMap[item['id']] = item;